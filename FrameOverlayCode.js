@@ -0,0 +1,326 @@
+/**
+ * Encoding of frame metadata into the color-coded overlay drawn by
+ * VideoFrameTimestampDecorator, and companion decoding logic, so that the
+ * code that draws the overlay and the code that reads it back agree on the
+ * meaning of each cell.
+ *
+ * The overlay is a rectangle in the frame, split into a grid of cells of
+ * uniform color, 2 rows and as many columns as needed, read from left to
+ * right and top to bottom. Each cell represents a digit in base "number of
+ * colors" (the digit is the index of the color in the list of colors). Cells
+ * contain:
+ * - N digits (4 by default) that encode the timestamp of the frame in
+ * milliseconds, most significant digit first.
+ * - S digits (3 by default) that encode the sequence number of the frame, a
+ * counter incremented for each frame that gets an overlay.
+ * - R digits (2 by default) that encode the identifier of the run, so that
+ * frames left over from a previous run can be told apart.
+ * - 2 check digits: the sum of the previous digits weighted by 1, 3, 5, 7,
+ * 1, 3, etc., and the plain sum of all previous digits, both modulo the base.
+ * Remaining cells in the grid, if any, have digit 0.
+ *
+ * Sequence numbers and run identifiers make it possible to detect dropped and
+ * duplicated frames without relying on the uniqueness of timestamps. Either
+ * can be disabled by setting its number of digits to 0.
+ *
+ * The position and size of the overlay are given in fractions of the width
+ * and height of the frame, and default to the bottom right corner: x and y at
+ * 0.75, width and height of 0.25.
+ *
+ * Timestamps wrap around after "base ^ N" ms (about 22 minutes with 34 colors
+ * and 4 digits). The "unwrap()" method picks the timestamp closest to a
+ * reference timestamp, e.g. the timestamp of the last frame that was sent to
+ * display, among those that share the same digits. Sequence numbers wrap
+ * around after "base ^ S" frames (about 11 minutes at 60 fps with 34 colors
+ * and 3 digits), and "unwrapSequence()" does the same for them.
+ *
+ * A misread digit breaks the plain sum. The weighted sum also catches most
+ * double errors and swapped digits. Decoding rejects frames for which checks
+ * fail. When one cell could not be matched to any color (e.g. because of
+ * scaling or encoding artefacts), the cell is treated as an erasure and its
+ * digit is recovered from the check digits, provided that only one value
+ * satisfies both checks.
+ *
+ * Usage:
+ *
+ * const code = new FrameOverlayCode({ nbColors: colors.length, digits: 5 });
+ * const digits = code.encode(frame.timestamp, { sequence: 42, runId: 7 });
+ * // Draw digits in code.cells, read them back, using -1 for cells that
+ * // match no color
+ * const decoded = code.decode(readDigits);
+ * if (decoded) {
+ *   console.log(code.unwrap(decoded.timestamp, lastTimestamp),
+ *     code.unwrapSequence(decoded.sequence, lastSequence),
+ *     decoded.runId, decoded.corrected);
+ * }
+ */
+
+'use strict';
+
+
+/**
+ * Color digits code of the frame overlay.
+ */
+class FrameOverlayCode {
+  /**
+   * Weights of data digits in the first check digit (cycled through when
+   * there are more digits)
+   */
+  static CHECK_WEIGHTS = [1, 3, 5, 7];
+
+  /**
+   * Number of check digits, number of rows in the grid of cells, and maximum
+   * number of cells in the grid
+   */
+  static CHECK_DIGITS = 2;
+  static ROWS = 2;
+  static MAX_CELLS = 16;
+
+  #base;
+  #nbDigits;
+  #nbSequenceDigits;
+  #nbRunIdDigits;
+  #x;
+  #y;
+  #width;
+  #height;
+
+  constructor({ nbColors, digits, sequenceDigits, runIdDigits, x, y, width, height } = {}) {
+    this.#base = nbColors;
+    this.#nbDigits = digits ?? 4;
+    this.#nbSequenceDigits = sequenceDigits ?? 3;
+    this.#nbRunIdDigits = runIdDigits ?? 2;
+    this.#x = x ?? 0.75;
+    this.#y = y ?? 0.75;
+    this.#width = width ?? 0.25;
+    this.#height = height ?? 0.25;
+    if (!Number.isInteger(this.#base) || this.#base < 2) {
+      throw new Error(`Overlay code needs at least 2 colors, got ${this.#base}`);
+    }
+    const maxDigits = FrameOverlayCode.MAX_CELLS - FrameOverlayCode.CHECK_DIGITS;
+    if (!Number.isInteger(this.#nbDigits) || this.#nbDigits < 1 ||
+        this.#nbDigits > maxDigits) {
+      throw new Error(`Overlay digits must be an integer between 1 and ${maxDigits}, got ${this.#nbDigits}`);
+    }
+    for (const nbDigits of [this.#nbSequenceDigits, this.#nbRunIdDigits]) {
+      if (!Number.isInteger(nbDigits) || nbDigits < 0) {
+        throw new Error(`Overlay sequence and run id digits must be non-negative integers, got ${nbDigits}`);
+      }
+    }
+    if (this.nbCells > FrameOverlayCode.MAX_CELLS) {
+      throw new Error(`Overlay cannot have more than ${maxDigits} digits in total, got ${this.#nbDataDigits}`);
+    }
+    if (!(this.#width > 0 && this.#height > 0 &&
+          this.#x >= 0 && this.#y >= 0 &&
+          this.#x + this.#width <= 1 && this.#y + this.#height <= 1)) {
+      throw new Error('Overlay must be a non-empty rectangle within the frame');
+    }
+  }
+
+  /**
+   * Overlay options, as passed to the constructor
+   */
+  get options() {
+    return {
+      nbColors: this.#base,
+      digits: this.#nbDigits,
+      sequenceDigits: this.#nbSequenceDigits,
+      runIdDigits: this.#nbRunIdDigits,
+      x: this.#x,
+      y: this.#y,
+      width: this.#width,
+      height: this.#height
+    };
+  }
+
+  /**
+   * Position and size of the overlay, in fractions of the frame's dimensions
+   */
+  get rect() {
+    return { x: this.#x, y: this.#y, width: this.#width, height: this.#height };
+  }
+
+  /**
+   * Number of meaningful cells in the overlay (timestamp, sequence number, run
+   * id and check digits)
+   */
+  get nbCells() {
+    return this.#nbDataDigits + FrameOverlayCode.CHECK_DIGITS;
+  }
+
+  get rows() {
+    return FrameOverlayCode.ROWS;
+  }
+
+  get columns() {
+    return Math.ceil(this.nbCells / FrameOverlayCode.ROWS);
+  }
+
+  /**
+   * Column and row of each meaningful cell, in reading order
+   */
+  get cells() {
+    const cells = [];
+    for (let idx = 0; idx < this.nbCells; idx++) {
+      cells.push({ column: idx % this.columns, row: Math.floor(idx / this.columns) });
+    }
+    return cells;
+  }
+
+  /**
+   * Position and size, in pixels, of the cell at the given index in the grid
+   * (meaningful cells first, then remaining cells), for a frame of the given
+   * dimensions. Cells are aligned on pixel boundaries.
+   */
+  getCellRect(index, frameWidth, frameHeight) {
+    const column = index % this.columns;
+    const row = Math.floor(index / this.columns);
+    const left = Math.round((this.#x + this.#width * column / this.columns) * frameWidth);
+    const right = Math.round((this.#x + this.#width * (column + 1) / this.columns) * frameWidth);
+    const top = Math.round((this.#y + this.#height * row / this.rows) * frameHeight);
+    const bottom = Math.round((this.#y + this.#height * (row + 1) / this.rows) * frameHeight);
+    return { x: left, y: top, width: right - left, height: bottom - top };
+  }
+
+  /**
+   * Time after which timestamps wrap around, in microseconds
+   */
+  get period() {
+    return this.#base ** this.#nbDigits * 1000;
+  }
+
+  /**
+   * Number of frames after which sequence numbers wrap around
+   */
+  get sequencePeriod() {
+    return this.#base ** this.#nbSequenceDigits;
+  }
+
+  /**
+   * Number of distinct run identifiers. Run identifiers are taken modulo
+   * that number.
+   */
+  get runIdPeriod() {
+    return this.#base ** this.#nbRunIdDigits;
+  }
+
+  /**
+   * Return the list of digits, one per cell, that encode the given timestamp
+   * (in microseconds, as VideoFrame timestamps), along with the "sequence"
+   * number and "runId" given as options (both 0 by default)
+   */
+  encode(timestamp, { sequence, runId } = {}) {
+    const digits = [
+      ...this.#toDigits(Math.floor(timestamp / 1000), this.#nbDigits),
+      ...this.#toDigits(sequence ?? 0, this.#nbSequenceDigits),
+      ...this.#toDigits(runId ?? 0, this.#nbRunIdDigits)
+    ];
+    return digits.concat(this.#computeChecks(digits));
+  }
+
+  /**
+   * Decode a list of digits read from the overlay, one per cell, -1 for
+   * cells that could not be matched to any color. Returns an object with the
+   * "timestamp" (in microseconds), the "sequence" number and "runId" (null
+   * when the overlay does not encode them), and whether a digit had to be
+   * "corrected", or null when the digits cannot be decoded.
+   */
+  decode(digits) {
+    if (!digits || digits.length < this.nbCells) {
+      return null;
+    }
+    digits = digits.slice(0, this.nbCells);
+    const erasures = digits
+      .map((digit, idx) => (digit >= 0 && digit < this.#base) ? -1 : idx)
+      .filter(idx => idx >= 0);
+    if (erasures.length > 1) {
+      return null;
+    }
+    if (erasures.length === 0) {
+      return this.#isValid(digits) ? this.#toResult(digits, false) : null;
+    }
+
+    const candidates = [];
+    for (let value = 0; value < this.#base; value++) {
+      const candidate = digits.slice();
+      candidate[erasures[0]] = value;
+      if (this.#isValid(candidate)) {
+        candidates.push(candidate);
+      }
+    }
+    return (candidates.length === 1) ? this.#toResult(candidates[0], true) : null;
+  }
+
+  /**
+   * Return the timestamp closest to the reference timestamp (both in
+   * microseconds) that has the same digits as the given decoded timestamp.
+   * The decoded timestamp is returned as-is when there is no reference.
+   */
+  unwrap(timestamp, reference) {
+    if (reference === null || reference === undefined) {
+      return timestamp;
+    }
+    const periods = Math.round((reference - timestamp) / this.period);
+    return timestamp + periods * this.period;
+  }
+
+  /**
+   * Return the sequence number closest to the reference sequence number that
+   * has the same digits as the given decoded sequence number. The decoded
+   * sequence number is returned as-is when there is no reference.
+   */
+  unwrapSequence(sequence, reference) {
+    if (sequence === null || reference === null || reference === undefined) {
+      return sequence;
+    }
+    const periods = Math.round((reference - sequence) / this.sequencePeriod);
+    return sequence + periods * this.sequencePeriod;
+  }
+
+  // Number of timestamp, sequence number and run id digits
+  get #nbDataDigits() {
+    return this.#nbDigits + this.#nbSequenceDigits + this.#nbRunIdDigits;
+  }
+
+  // Least significant digits of the value, most significant first
+  #toDigits(value, nbDigits) {
+    const digits = [];
+    for (let i = 0; i < nbDigits; i++) {
+      digits.unshift(((value % this.#base) + this.#base) % this.#base);
+      value = Math.floor(value / this.#base);
+    }
+    return digits;
+  }
+
+  #fromDigits(digits) {
+    return digits.reduce((total, digit) => total * this.#base + digit, 0);
+  }
+
+  #computeChecks(dataDigits) {
+    const weights = FrameOverlayCode.CHECK_WEIGHTS;
+    const weighted = dataDigits.reduce((sum, digit, idx) =>
+      sum + digit * weights[idx % weights.length], 0) % this.#base;
+    const plain = (dataDigits.reduce((sum, digit) => sum + digit, 0) +
+      weighted) % this.#base;
+    return [weighted, plain];
+  }
+
+  #isValid(digits) {
+    const nbDataDigits = this.#nbDataDigits;
+    const checks = this.#computeChecks(digits.slice(0, nbDataDigits));
+    return checks.every((check, idx) => digits[nbDataDigits + idx] === check);
+  }
+
+  #toResult(digits, corrected) {
+    const sequenceEnd = this.#nbDigits + this.#nbSequenceDigits;
+    const ms = this.#fromDigits(digits.slice(0, this.#nbDigits));
+    return {
+      timestamp: ms * 1000,
+      sequence: (this.#nbSequenceDigits > 0) ?
+        this.#fromDigits(digits.slice(this.#nbDigits, sequenceEnd)) : null,
+      runId: (this.#nbRunIdDigits > 0) ?
+        this.#fromDigits(digits.slice(sequenceEnd, this.#nbDataDigits)) : null,
+      corrected
+    };
+  }
+}
\ No newline at end of file
@@ -0,0 +1,244 @@
+/**
+ * Decodes the timestamp, sequence number and run id of a frame from the
+ * color-coded overlay drawn by VideoFrameTimestampDecorator (or
+ * VideoFrameTimestampCanvasDecorator), given the raw pixels of the frame.
+ *
+ * The decoder does not depend on the DOM, so that it can run in a worker (e.g.
+ * on frames read from a MediaStreamTrackProcessor) or in tests with synthetic
+ * buffers. It needs FrameOverlayCode, which must be loaded beforehand.
+ *
+ * Supported pixel formats are the VideoFrame formats "RGBA", "RGBX", "BGRA",
+ * "BGRX", "I420" and "NV12". Buffers are laid out as VideoFrame.copyTo()
+ * writes them: the "layout" option, when given, is the list of planes with
+ * their "offset" and "stride", as returned by copyTo(). Planes are assumed to
+ * be tightly packed otherwise.
+ *
+ * The decoder averages the pixels in the inner part of each cell of the
+ * overlay, leaving a margin along cell borders where video encoding, scaling
+ * and chroma subsampling (chroma samples cover 2x2 pixels in I420 and NV12)
+ * blend the colors of adjacent cells. YUV values get converted to RGB using
+ * the BT.709 matrix by default, or the BT.601 matrix, with limited range by
+ * default. Each cell is then matched against the nearest color in the list of
+ * colors. Cells whose average color is farther than the tolerance (Euclidean
+ * distance in RGB space, 40 by default) from all colors are treated as
+ * erasures, which FrameOverlayCode may correct.
+ *
+ * Usage:
+ *
+ * const decoder = new FrameOverlayDecoder({ colors, overlayLayout });
+ * const buffer = new Uint8Array(frame.allocationSize());
+ * const layout = await frame.copyTo(buffer);
+ * const decoded = decoder.decode(buffer, {
+ *   format: frame.format,
+ *   width: frame.visibleRect.width,
+ *   height: frame.visibleRect.height,
+ *   layout,
+ *   colorSpace: frame.colorSpace
+ * });
+ * if (decoded) {
+ *   console.log(decoded.timestamp, decoded.sequence, decoded.runId);
+ * }
+ */
+
+'use strict';
+
+
+/**
+ * Decoder of the frame overlay from raw pixel buffers.
+ */
+class FrameOverlayDecoder {
+  /**
+   * Supported pixel formats
+   */
+  static FORMATS = ['RGBA', 'RGBX', 'BGRA', 'BGRX', 'I420', 'NV12'];
+
+  /**
+   * Coefficients of YUV to RGB matrices, per matrix name (as in
+   * VideoColorSpace)
+   */
+  static MATRICES = {
+    bt709: { kr: 0.2126, kb: 0.0722 },
+    bt470bg: { kr: 0.299, kb: 0.114 },
+    smpte170m: { kr: 0.299, kb: 0.114 }
+  };
+
+  #code;
+  #colors;
+  #tolerance;
+  #matrix;
+  #fullRange;
+
+  constructor({ colors, overlayLayout, tolerance, matrix, fullRange } = {}) {
+    this.#code = new FrameOverlayCode(Object.assign({},
+      overlayLayout, { nbColors: colors?.length }));
+    this.#colors = colors.map(rgb => [
+      parseInt(rgb.slice(1, 3), 16),
+      parseInt(rgb.slice(3, 5), 16),
+      parseInt(rgb.slice(5, 7), 16)
+    ]);
+    this.#tolerance = tolerance ?? 40;
+    this.#matrix = matrix ?? 'bt709';
+    this.#fullRange = !!fullRange;
+    if (!FrameOverlayDecoder.MATRICES[this.#matrix]) {
+      throw new Error(`Unsupported YUV matrix ${this.#matrix}`);
+    }
+  }
+
+  /**
+   * The FrameOverlayCode that the decoder uses
+   */
+  get code() {
+    return this.#code;
+  }
+
+  /**
+   * Decode the overlay in the given pixel buffer. Returns the object that
+   * FrameOverlayCode.decode() returns, with the "timestamp" (in
+   * microseconds), "sequence" number, "runId" and whether a digit had to be
+   * "corrected", or null when the overlay could not be decoded. Options are
+   * the "format", "width" and "height" of the frame, and optionally the
+   * "layout" of planes and the "colorSpace" of the frame (whose "matrix" and
+   * "fullRange" properties override those passed to the constructor).
+   */
+  decode(buffer, options) {
+    return this.#code.decode(this.readDigits(buffer, options));
+  }
+
+  /**
+   * Return the digits read in each cell of the overlay, -1 for cells that do
+   * not match any color.
+   */
+  readDigits(buffer, options) {
+    return this.readCellColors(buffer, options).map(rgb => this.matchColor(rgb));
+  }
+
+  /**
+   * Return the average color of the inner part of each cell of the overlay,
+   * as [r, g, b] arrays.
+   */
+  readCellColors(buffer, { format, width, height, layout, colorSpace } = {}) {
+    if (!FrameOverlayDecoder.FORMATS.includes(format)) {
+      throw new Error(`Unsupported pixel format ${format}`);
+    }
+    const data = ArrayBuffer.isView(buffer) ?
+      new Uint8Array(buffer.buffer, buffer.byteOffset, buffer.byteLength) :
+      new Uint8Array(buffer);
+    const planes = layout ?? FrameOverlayDecoder.#getDefaultLayout(format, width, height);
+
+    const colors = [];
+    for (let idx = 0; idx < this.#code.nbCells; idx++) {
+      const rect = FrameOverlayDecoder.#getInnerRect(
+        this.#code.getCellRect(idx, width, height));
+      if (format.startsWith('RGB') || format.startsWith('BGR')) {
+        const avg = FrameOverlayDecoder.#averagePlane(data, planes[0], rect, 4, 3);
+        colors.push(format.startsWith('RGB') ? avg : [avg[2], avg[1], avg[0]]);
+      }
+      else {
+        // Chroma planes are subsampled by 2 in both dimensions
+        const chromaRect = {
+          x: Math.floor(rect.x / 2),
+          y: Math.floor(rect.y / 2),
+          width: Math.max(1, Math.floor(rect.width / 2)),
+          height: Math.max(1, Math.floor(rect.height / 2))
+        };
+        const [y] = FrameOverlayDecoder.#averagePlane(data, planes[0], rect, 1, 1);
+        let u;
+        let v;
+        if (format === 'I420') {
+          [u] = FrameOverlayDecoder.#averagePlane(data, planes[1], chromaRect, 1, 1);
+          [v] = FrameOverlayDecoder.#averagePlane(data, planes[2], chromaRect, 1, 1);
+        }
+        else {
+          [u, v] = FrameOverlayDecoder.#averagePlane(data, planes[1], chromaRect, 2, 2);
+        }
+        colors.push(this.#yuvToRgb(y, u, v, colorSpace));
+      }
+    }
+    return colors;
+  }
+
+  /**
+   * Return the index of the color nearest to the given [r, g, b] color, or -1
+   * if no color is within tolerance.
+   */
+  matchColor(rgb) {
+    let best = -1;
+    let bestDistance = Infinity;
+    this.#colors.forEach((color, idx) => {
+      const distance = Math.hypot(
+        color[0] - rgb[0], color[1] - rgb[1], color[2] - rgb[2]);
+      if (distance < bestDistance) {
+        best = idx;
+        bestDistance = distance;
+      }
+    });
+    return (bestDistance <= this.#tolerance) ? best : -1;
+  }
+
+  #yuvToRgb(y, u, v, colorSpace) {
+    const matrix = FrameOverlayDecoder.MATRICES[colorSpace?.matrix] ??
+      FrameOverlayDecoder.MATRICES[this.#matrix];
+    const fullRange = colorSpace?.fullRange ?? this.#fullRange;
+    const luma = fullRange ? y : (y - 16) * 255 / 219;
+    const cb = fullRange ? u - 128 : (u - 128) * 255 / 224;
+    const cr = fullRange ? v - 128 : (v - 128) * 255 / 224;
+    const { kr, kb } = matrix;
+    const kg = 1 - kr - kb;
+    const r = luma + 2 * (1 - kr) * cr;
+    const b = luma + 2 * (1 - kb) * cb;
+    const g = (luma - kr * r - kb * b) / kg;
+    return [r, g, b].map(c => Math.min(255, Math.max(0, c)));
+  }
+
+  // Leave a margin of a quarter of the cell along borders, and at least 2
+  // pixels so that chroma samples that straddle borders are skipped
+  static #getInnerRect(rect) {
+    const marginX = Math.min(Math.max(2, Math.floor(rect.width / 4)),
+      Math.floor((rect.width - 1) / 2));
+    const marginY = Math.min(Math.max(2, Math.floor(rect.height / 4)),
+      Math.floor((rect.height - 1) / 2));
+    return {
+      x: rect.x + marginX,
+      y: rect.y + marginY,
+      width: rect.width - 2 * marginX,
+      height: rect.height - 2 * marginY
+    };
+  }
+
+  // Average the first "channels" bytes of each pixel in the rectangle
+  static #averagePlane(data, plane, rect, bytesPerPixel, channels) {
+    const totals = new Array(channels).fill(0);
+    for (let y = rect.y; y < rect.y + rect.height; y++) {
+      let pos = plane.offset + y * plane.stride + rect.x * bytesPerPixel;
+      for (let x = 0; x < rect.width; x++) {
+        for (let c = 0; c < channels; c++) {
+          totals[c] += data[pos + c];
+        }
+        pos += bytesPerPixel;
+      }
+    }
+    const count = rect.width * rect.height;
+    return totals.map(total => total / count);
+  }
+
+  static #getDefaultLayout(format, width, height) {
+    if (format === 'I420') {
+      const chromaWidth = Math.ceil(width / 2);
+      const chromaHeight = Math.ceil(height / 2);
+      return [
+        { offset: 0, stride: width },
+        { offset: width * height, stride: chromaWidth },
+        { offset: width * height + chromaWidth * chromaHeight, stride: chromaWidth }
+      ];
+    }
+    else if (format === 'NV12') {
+      return [
+        { offset: 0, stride: width },
+        { offset: width * height, stride: Math.ceil(width / 2) * 2 }
+      ];
+    }
+    else {
+      return [{ offset: 0, stride: width * 4 }];
+    }
+  }
+}
\ No newline at end of file
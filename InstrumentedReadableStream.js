@@ -0,0 +1,169 @@
+/**
+ * A drop-in replacement for ReadableStream that records the time spent to
+ * produce each chunk and stores the result in a stats collector per chunk
+ * (provided that chunks have identifiers) for later retrieval.
+ *
+ * The class is the counterpart of InstrumentedTransformStream for sources of
+ * chunks, and must be loaded after InstrumentedTransformStream.js. Streams
+ * that are not given a collector use the default collector of
+ * InstrumentedTransformStream.
+ *
+ * For pull sources, production of a chunk starts when "pull()" is called and
+ * ends when the chunk is enqueued. Push sources produce chunks on their own
+ * schedule. They should call "controller.startChunk()" when they start
+ * producing a chunk. Otherwise, the step is recorded as taking 0ms. To cater
+ * for backpressure, push sources may also wait on the "controller.ready"
+ * promise, which resolves when the stream is ready to accept a new chunk (as
+ * the "ready" promise of a WritableStream writer does).
+ *
+ * The class records, along with the start and end times:
+ * - "backpressureWait": time spent waiting on "controller.ready" since the
+ * previous chunk was enqueued.
+ * - "readableQueue": size of the queue once the chunk was enqueued, i.e. of
+ * the chunks that were produced but not yet read (null if the stream
+ * errored).
+ * - "readableDesiredSize": desired size of the stream at that time.
+ *
+ * Usage:
+ *
+ * const source = new InstrumentedReadableStream({
+ *   name: 'generate',
+ *   collector,
+ *   async start(controller) {
+ *     while (running) {
+ *       await controller.ready;
+ *       controller.startChunk();
+ *       const frame = await generateFrame();
+ *       controller.enqueue(frame);
+ *     }
+ *   }
+ * });
+ */
+
+'use strict';
+
+
+/**
+ * A type of ReadableStream that records the time spent to produce each chunk.
+ */
+class InstrumentedReadableStream extends ReadableStream {
+  static #timerLastId = 0;
+
+  constructor(underlyingSource = {}, strategy = {}) {
+    const timerName = underlyingSource.name ??
+      `source-${InstrumentedReadableStream.#timerLastId++}`;
+    const idProperty = underlyingSource.chunkIdProperty ?? 'timestamp';
+    const collector = underlyingSource.collector ??
+      InstrumentedTransformStream.defaultCollector;
+    const highWaterMark = strategy.highWaterMark ?? 1;
+
+    // Time at which production of the next chunk started, if known, and time
+    // spent waiting on backpressure since the previous chunk
+    let chunkStart = null;
+    let backpressureWait = 0;
+
+    // The stream calls "pull()" when it wants a new chunk, and does not call
+    // it again until a chunk gets enqueued. Pending "ready" promises get
+    // resolved on next call to "pull()".
+    let pullPending = false;
+    let readyResolvers = [];
+
+    /**
+     * A wrapped version of ReadableStreamDefaultController.
+     */
+    class InstrumentedReadableStreamController {
+      #controller;
+
+      constructor(controller) {
+        this.#controller = controller;
+      }
+
+      get desiredSize() {
+        return this.#controller.desiredSize;
+      }
+
+      /**
+       * Promise that resolves when the stream is ready to accept a new chunk
+       */
+      get ready() {
+        if (pullPending || this.#controller.desiredSize > 0) {
+          return Promise.resolve();
+        }
+        const requested = performance.timeOrigin + performance.now();
+        return new Promise(resolve => readyResolvers.push(resolve))
+          .then(_ => {
+            backpressureWait += performance.timeOrigin + performance.now() - requested;
+          });
+      }
+
+      /**
+       * Signal the start of the production of the next chunk
+       */
+      startChunk() {
+        chunkStart = performance.timeOrigin + performance.now();
+      }
+
+      enqueue(chunk) {
+        const end = performance.timeOrigin + performance.now();
+        const chunkId = chunk?.[idProperty] ?? '__unidentified';
+        if (!collector.isSampled(chunkId)) {
+          chunkStart = null;
+          backpressureWait = 0;
+          pullPending = false;
+          return this.#controller.enqueue(chunk);
+        }
+        const stats = collector.getEntry(chunkId);
+        stats[timerName] = {
+          start: chunkStart ?? end,
+          end,
+          backpressureWait
+        };
+        chunkStart = null;
+        backpressureWait = 0;
+        pullPending = false;
+
+        const res = this.#controller.enqueue(chunk);
+        stats[timerName].readableQueue = (this.#controller.desiredSize === null) ?
+          null : highWaterMark - this.#controller.desiredSize;
+        stats[timerName].readableDesiredSize = this.#controller.desiredSize;
+        collector.measureStep(timerName, chunkId, stats[timerName]);
+        return res;
+      }
+
+      close() {
+        return this.#controller.close();
+      }
+
+      error(reason) {
+        return this.#controller.error(reason);
+      }
+    }
+
+    let instrumentedController;
+    const instrumentedSource = Object.assign({}, underlyingSource, {
+      start(controller) {
+        instrumentedController = new InstrumentedReadableStreamController(controller);
+        if (underlyingSource.start) {
+          return underlyingSource.start.apply(this, [instrumentedController]);
+        }
+      },
+
+      pull(controller) {
+        // Stream is ready to accept a new chunk
+        pullPending = true;
+        const resolvers = readyResolvers;
+        readyResolvers = [];
+        for (const resolve of resolvers) {
+          resolve();
+        }
+
+        if (underlyingSource.pull) {
+          chunkStart = performance.timeOrigin + performance.now();
+          return underlyingSource.pull.apply(this, [instrumentedController]);
+        }
+      }
+    });
+
+    super(instrumentedSource, strategy);
+  }
+}
\ No newline at end of file
@@ -1,13 +1,59 @@
 /**
  * A drop-in replacement for TransformStream that records the time spent to
- * transform a chunk and stores the result in a static cache per chunk
+ * transform a chunk and stores the result in a stats collector per chunk
  * (provided that chunks have identifiers) for later retrieval.
  *
- * Measurement of time only works for "simple" transforms, meaning those that
- * transform one chunk into zero or one other chunk. It won't work well for
- * transforms that take one chunk and produce more than one chunk out of it.
- * In these situations, the application must call `setEndTime` explicitly to
- * fix the end of the transformation.
+ * By default, the class assumes that transforms are "simple" transforms,
+ * meaning those that transform one chunk into zero or one other chunk. The
+ * transformer may set the "emits" property to "many" to signal that it may
+ * produce more than one chunk out of an input chunk. The transformation then
+ * ends when the "transform" function is done, and not at the first call to
+ * "controller.enqueue()".
+ *
+ * Transforms that hand chunks over to an asynchronous API (e.g. VideoEncoder)
+ * and receive results in a callback should rather not block "transform()"
+ * until the result arrives, so that more than one chunk may be in flight. Such
+ * transforms may set the "deferCompletion" property to true. Chunks then
+ * remain in flight when "transform()" is done, until the transform calls
+ * "controller.complete(chunkId)", or until a chunk gets emitted for them
+ * (unless "emits" is "many"). The "complete()" method is available on the
+ * controller passed to "start()" as well, which is typically the one that
+ * callbacks use. Without a chunk identifier, it completes the chunk being
+ * transformed, or the oldest chunk in flight for the controller passed to
+ * "start()". The (older) `setEndTime(chunkId)` method of the transformer
+ * (available through `this` in transformer methods) also completes a chunk,
+ * overriding its end time if needed. When the asynchronous API fails and will
+ * not emit anything for chunks in flight (e.g. in the error callback of a
+ * VideoEncoder), the transform should call "controller.completeAll()". Chunks
+ * still in flight once "flush()" is done get completed as well. These chunks
+ * count as dropped.
+ *
+ * Each chunk emitted by the stream is linked to the input chunk it was
+ * produced from. The step time of the input chunk records the identifier and
+ * the emit time of each of its outputs in an "outputs" array. By default, an
+ * output is linked to the input chunk being transformed when
+ * "controller.enqueue()" is called. Outputs emitted through the controller
+ * passed to "start()" (e.g. from a VideoEncoder or VideoDecoder callback) are
+ * linked to the input chunk that has the same identifier, or to the oldest
+ * input chunk being transformed otherwise, provided that it did not start
+ * before the last input chunk that got linked to an output (an older chunk is
+ * likely a chunk that the asynchronous API dropped). Transforms that merge
+ * chunks, or that know better, may pass the identifier(s) of the input
+ * chunk(s) as second parameter to "controller.enqueue()".
+ *
+ * The class also samples the state of the stream's queues and records, along
+ * with the start and end times:
+ * - "writableQueue": number of chunks in the writable queue, including the
+ * chunk being transformed, when the transformation starts.
+ * - "writableDesiredSize": desired size of the writable side at that time.
+ * - "readableQueue": size of the readable queue, i.e. of the chunks that were
+ * transformed but not yet read by the next step, when the transformation ends
+ * (null if the stream errored).
+ * - "readableDesiredSize": desired size of the readable side at that time.
+ * - "backpressureWait": time during which the chunk waited in the writable
+ * queue, even though the previous chunk had been transformed, because the
+ * readable side was applying backpressure.
+ * Queue sizes are in chunks unless strategies define a "size" function.
  *
  * Calls to "controller.enqueue()" trigger the next TransformStream in the
  * pipeline right away. To avoid measuring time spent further down the
@@ -20,12 +66,62 @@
  * Class was created to measure time taken processing AudioFrame and VideoFrame
  * objects or encoded versions of them. By default, it looks at the "timestamp"
  * property to get a chunk identifier. This can be overridden through the
- * "chunkIdProperty" parameter passed to the constructor.
+ * "chunkIdProperty" parameter passed to the constructor, or through a
+ * "chunkId" function that returns the identifier of a given chunk, e.g. to
+ * give a distinct identifier to chunks that carry configuration data.
+ *
+ * Along with step times per chunk, collectors keep per-step accounting for
+ * instrumented TransformStreams: the time spent in the "start()" and "flush()"
+ * methods of the transformer, the number of errors (calls to
+ * "controller.error()" and exceptions raised by transformer methods), the
+ * number of rejected chunks (chunks for which "transform()" raised an
+ * exception, also flagged with a "rejected" property in step times) and the
+ * number of dropped chunks (chunks that were transformed without emitting
+ * anything, which also includes chunks consumed by the transform such as
+ * decoder config chunks).
+ *
+ * To reduce the cost of per-chunk bookkeeping, collectors may run in sampling
+ * mode: set the "sampling" property of the collector to the options of a
+ * StepTimesSampler (e.g. `{ fraction: 0.1, seed: 42 }`). Chunks that are not
+ * sampled then go through instrumented streams without being recorded. The
+ * decision only depends on the chunk identifier, so collectors in different
+ * workers that use the same sampling options record the same chunks.
+ * StepTimesSampler.js must be loaded before this file in that case.
+ *
+ * Collectors can also stream stats while a run is going, e.g. from a worker
+ * to the main thread, so that stats can be rendered live and are not lost if
+ * the worker crashes or hangs. Call "startStreaming(port, interval)" to post
+ * batches of entries that were created or updated since the previous batch
+ * to the given MessagePort, and "stopStreaming()" at the end of the run to
+ * post the last batch, followed by per-step accounting. Messages look like:
+ * - `{ type: 'batch', collector: 'name', stats: [entries] }`
+ * - `{ type: 'end', collector: 'name', steps: { per-step accounting } }`
+ * The same entry may appear in more than one batch, e.g. when its end time
+ * was not yet known. Batches are meant to be merged with StepTimesDB, which
+ * handles such updates. Entries can also be retrieved in batches without a
+ * port through "takeBatch()". While it streams, the collector also replies to
+ * `{ type: 'ping' }` messages received on the port with the current time, so
+ * that the other end can align clocks (see StepTimesClockSync).
+ *
+ * Stats get stored in a StepTimesCollector. Collectors can be created, named
+ * and passed to instrumented streams through the "collector" property of the
+ * transformer, so that different pipelines (or successive runs) in the same
+ * realm can be measured independently. Streams that are not given a collector
+ * use a default collector, whose stats can be retrieved and reset through the
+ * static "collectStats()" and "resetStats()" methods.
+ *
+ * Collectors may also emit a `performance.measure()` entry each time a step
+ * completes for a chunk, so that steps appear in the "Timings" track of
+ * performance tools while the run is going. Set the "measure" property of
+ * the collector to true to enable that. The name of the entry is the name of
+ * the step, and its "detail" contains the chunk identifier and the name of
+ * the collector.
  *
  * Usage:
  *
- * // Reset the static cache
- * InstrumentedTransformStream.resetStats();
+ * // Create a collector (or reset the default one with
+ * // InstrumentedTransformStream.resetStats())
+ * const collector = new StepTimesCollector('pipeline-1');
  *
  * // By default, the transform will appear under `timer-xxx`, and code
  * // considers that the chunk's ID is to be found under a `timestamp` property.
@@ -34,48 +130,293 @@
  *   writableStrategy,
  *   readableStrategy);
  *
- * // The actual transform name and the name of the property that contains the
- * // chunk's identifier can be passed as arguments
+ * // The actual transform name, the name of the property that contains the
+ * // chunk's identifier and the collector can be passed as arguments
  * const transformStream2 = new InstrumentedTransformStream({
  *   name: 'super-duper',
  *   chunkIdProperty: 'id',
+ *   collector,
  *   transform(chunk, controller) {
  *     const transformedChunk = doSomethingWith(chunk);
  *     controller.enqueue(transformedChunk);
  *   }
  * });
  *
+ * // A transform that splits chunks in two
+ * const transformStream3 = new InstrumentedTransformStream({
+ *   name: 'split',
+ *   emits: 'many',
+ *   transform(chunk, controller) {
+ *     const [first, second] = split(chunk);
+ *     controller.enqueue(first);
+ *     controller.enqueue(second);
+ *   }
+ * });
+ *
+ * // A transform that completes chunks in a callback
+ * const transformStream4 = new InstrumentedTransformStream({
+ *   name: 'encode',
+ *   deferCompletion: true,
+ *   start(controller) {
+ *     this.encoder = new VideoEncoder({
+ *       output: chunk => controller.enqueue(chunk),
+ *       error: e => controller.error(e)
+ *     });
+ *   },
+ *   transform(frame, controller) {
+ *     this.encoder.encode(frame);
+ *     frame.close();
+ *   }
+ * });
+ *
  * // Retrieve stats once processing is done. This returns an array of entries
  * // per chunk. Each entry is an object that looks like:
  * // {
  * //   "id": "chunk id",
- * //   "timer-1": { start: timestamp, end: timestamp },
- * //   "super-duper": { start: timestamp, end: timestamp }
+ * //   "timer-1": { start: timestamp, end: timestamp, writableQueue: 1, ... },
+ * //   "super-duper": { start: timestamp, end: timestamp, writableQueue: 2, ... },
+ * //   "split": {
+ * //     start: timestamp, end: timestamp, ...,
+ * //     outputs: [{ id: "first id", time: timestamp }, { id: "second id", time: timestamp }]
+ * //   }
  * // }
- * const stats = InstrumentedTransformStream.collectStats();
+ * const stats = collector.collectStats();
+ *
+ * // Stats of streams created without a collector
+ * const defaultStats = InstrumentedTransformStream.collectStats();
+ *
+ * // Retrieve per-step accounting, which looks like:
+ * // {
+ * //   "super-duper": {
+ * //     "start": { start: timestamp, end: timestamp },
+ * //     "flush": { start: timestamp, end: timestamp },
+ * //     "errors": 0,
+ * //     "rejected": 0,
+ * //     "dropped": 2
+ * //   }
+ * // }
+ * const stepInfo = collector.collectStepInfo();
  */
 
 'use strict';
 
 
+/**
+ * A named collector of step times, indexed by chunk identifier.
+ */
+class StepTimesCollector {
+  #name;
+  #measure;
+  #sampler = null;
+  #stats = new Map();
+  #steps = new Map();
+
+  // Identifiers of chunks whose entry changed since the last batch, and
+  // streaming parameters
+  #pending = new Set();
+  #port = null;
+  #streamingInterval = null;
+  #pingListener = event => {
+    if (event.data?.type === 'ping') {
+      this.#port?.postMessage({
+        type: 'pong',
+        id: event.data.id,
+        time: performance.timeOrigin + performance.now()
+      });
+    }
+  };
+
+  constructor(name, { measure } = {}) {
+    this.#name = name ?? 'default';
+    this.#measure = !!measure;
+  }
+
+  get name() {
+    return this.#name;
+  }
+
+  get measure() {
+    return this.#measure;
+  }
+
+  set measure(value) {
+    this.#measure = !!value;
+  }
+
+  /**
+   * Sampling options, or null when all chunks get recorded
+   */
+  get sampling() {
+    return this.#sampler?.options ?? null;
+  }
+
+  set sampling(options) {
+    this.#sampler = options ? new StepTimesSampler(options) : null;
+  }
+
+  /**
+   * Whether the chunk with the given identifier needs to be recorded
+   */
+  isSampled(chunkId) {
+    return !this.#sampler || this.#sampler.isSampled(chunkId);
+  }
+
+  /**
+   * Return the entry of the chunk with the given identifier, creating it if
+   * needed.
+   */
+  getEntry(chunkId) {
+    let entry = this.#stats.get(chunkId);
+    if (!entry) {
+      entry = { id: chunkId };
+      this.#stats.set(chunkId, entry);
+    }
+    this.#pending.add(chunkId);
+    return entry;
+  }
+
+  /**
+   * Signal that the entry of the chunk with the given identifier changed, so
+   * that it gets included in the next batch.
+   */
+  touch(chunkId) {
+    if (this.#stats.has(chunkId)) {
+      this.#pending.add(chunkId);
+    }
+  }
+
+  /**
+   * Return the entries that were created or updated since the last batch.
+   */
+  takeBatch() {
+    const batch = [];
+    for (const chunkId of this.#pending) {
+      batch.push(this.#stats.get(chunkId));
+    }
+    this.#pending = new Set();
+    return batch;
+  }
+
+  /**
+   * Post batches of entries to the given MessagePort at regular intervals
+   * (in milliseconds).
+   */
+  startStreaming(port, interval) {
+    this.stopStreaming();
+    this.#port = port;
+    this.#port.addEventListener('message', this.#pingListener);
+    this.#port.start();
+    this.#streamingInterval = setInterval(_ => this.#postBatch(), interval ?? 500);
+  }
+
+  /**
+   * Post the last batch of entries and per-step accounting, and stop
+   * streaming. Nothing happens if the collector is not streaming.
+   */
+  stopStreaming() {
+    if (!this.#port) {
+      return;
+    }
+    clearInterval(this.#streamingInterval);
+    this.#postBatch();
+    this.#port.postMessage({
+      type: 'end',
+      collector: this.#name,
+      steps: this.collectStepInfo()
+    });
+    this.#port.removeEventListener('message', this.#pingListener);
+    this.#port = null;
+    this.#streamingInterval = null;
+  }
+
+  #postBatch() {
+    const stats = this.takeBatch();
+    if (stats.length > 0) {
+      this.#port.postMessage({ type: 'batch', collector: this.#name, stats });
+    }
+  }
+
+  /**
+   * Return the entry of the chunk with the given identifier, if it exists.
+   */
+  findEntry(chunkId) {
+    return this.#stats.get(chunkId);
+  }
+
+  /**
+   * Emit a performance measure for the given step time of the given chunk,
+   * if measures are enabled.
+   */
+  measureStep(step, chunkId, stat) {
+    if (!this.#measure || !stat.start || !stat.end) {
+      return;
+    }
+    performance.measure(step, {
+      start: stat.start - performance.timeOrigin,
+      end: stat.end - performance.timeOrigin,
+      detail: { id: chunkId, collector: this.#name }
+    });
+  }
+
+  /**
+   * Return the accounting info of the given step, creating it if needed.
+   */
+  getStepInfo(step) {
+    let info = this.#steps.get(step);
+    if (!info) {
+      info = { start: null, flush: null, errors: 0, rejected: 0 };
+      this.#steps.set(step, info);
+    }
+    return info;
+  }
+
+  collectStats() {
+    return Array.from(this.#stats.values());
+  }
+
+  /**
+   * Return the accounting info of all steps, indexed by step name. Dropped
+   * chunks are counted when this function is called, as chunks may still be
+   * emitted after "transform()" is done.
+   */
+  collectStepInfo() {
+    const res = {};
+    for (const [step, info] of this.#steps) {
+      res[step] = Object.assign({}, info, { dropped: 0 });
+    }
+    for (const entry of this.#stats.values()) {
+      for (const [step, stat] of Object.entries(entry)) {
+        if (res[step] && stat?.end && stat.outputs?.length === 0 && !stat.rejected) {
+          res[step].dropped++;
+        }
+      }
+    }
+    return res;
+  }
+
+  resetStats() {
+    this.#stats = new Map();
+    this.#steps = new Map();
+    this.#pending = new Set();
+  }
+}
+
+
 /**
  * A type of TransformStream that records the time spent to transform each frame
- * and stores the result in a static cache (using the frame's timestamp as
+ * and stores the result in a stats collector (using the frame's timestamp as
  * identifier) for later retrieval.
  * 
  * Measurement of time is not fully transparent because a typical "transform"
  * function will call "controller.enqueue()" at some point, which triggers the
  * next TransformStream in the pipeline right away. To avoid measuring time
- * spent further down in the processing pipeline, users of this class should
- * call "setEndTime()" before issuing a call to "controller.enqueue()" to signal
- * the end of the processing.
- * 
- * Note this can probably be improved (e.g. the class could probably intercept
- * the call to "controller.enqueue()" and assume that's the end of the
- * transformation).
+ * spent further down in the processing pipeline, the class intercepts the
+ * call to "controller.enqueue()" and assumes that's the end of the
+ * transformation. Transforms that complete chunks asynchronously should call
+ * "controller.complete()" to signal the end of the processing.
  */
 class InstrumentedTransformStream extends TransformStream {
-  static #stats = [];
+  static #defaultCollector = new StepTimesCollector();
   static #timerLastId = 0;
 
   constructor(transformer,
@@ -88,28 +429,54 @@ class InstrumentedTransformStream extends TransformStream {
      */
     class InstrumentedTransformStreamController {
       #controller;
-      #stat;
+      #chunkId;
 
-      constructor(controller, stat) {
+      /**
+       * The chunk identifier is that of the chunk being transformed, or
+       * undefined for the controller passed to "start()" and "flush()".
+       */
+      constructor(controller, chunkId) {
         this.#controller = controller;
-        this.#stat = stat;
+        this.#chunkId = chunkId;
       }
 
       get desiredSize() {
         return this.#controller.desiredSize;
       }
 
-      enqueue(chunk) {
-        if (!this.#stat.end) {
-          this.#stat.end = performance.timeOrigin + performance.now();
-        }
+      /**
+       * Enqueue the chunk, linking it to the input chunk(s) it was produced
+       * from. Input chunk identifiers are optional.
+       */
+      enqueue(chunk, inputChunkIds) {
+        recordOutput(chunk, inputChunkIds ?? this.#chunkId);
         return this.#controller.enqueue(chunk);
       }
 
+      /**
+       * Signal the end of the transformation of the given chunk, which
+       * defaults to the chunk being transformed, or to the oldest chunk in
+       * flight.
+       */
+      complete(chunkId) {
+        completeChunk(chunkId ?? this.#chunkId ?? inFlight.keys().next().value);
+      }
+
+      /**
+       * Signal the end of the transformation of all chunks in flight, e.g.
+       * when an asynchronous API fails and will not emit anything for them.
+       */
+      completeAll() {
+        completeAllChunks();
+      }
+
       error(reason) {
-        if (!this.#stat.end) {
-          this.#stat.end = performance.timeOrigin + performance.now();
+        const stat = inFlight.get(this.#chunkId);
+        if (stat && !stat.end) {
+          stat.end = performance.timeOrigin + performance.now();
+          collector.touch(this.#chunkId);
         }
+        collector.getStepInfo(timerName).errors++;
         return this.#controller.error(reason);
       }
 
@@ -135,47 +502,237 @@ class InstrumentedTransformStream extends TransformStream {
     const timerName = transformer.name ??
       `timer-${InstrumentedTransformStream.#timerLastId++}`;
     const idProperty = transformer.chunkIdProperty ?? 'timestamp';
+    const getChunkId = transformer.chunkId ??
+      (chunk => chunk?.[idProperty]);
+    const emitsMany = transformer.emits === 'many';
+    const deferCompletion = !!transformer.deferCompletion;
+    const collector = transformer.collector ??
+      InstrumentedTransformStream.#defaultCollector;
+
+    // Step times of input chunks being transformed, indexed by chunk
+    // identifier, in transformation order, and start time of the last input
+    // chunk that got linked to an output
+    const inFlight = new Map();
+    let lastLinkedStart = -Infinity;
+
+    // Record the emission of an output chunk in the step times of the input
+    // chunk(s) it was produced from
+    function recordOutput(chunk, inputChunkIds) {
+      const time = performance.timeOrigin + performance.now();
+      const outputId = getChunkId(chunk) ?? '__unidentified';
+      if (inputChunkIds === undefined) {
+        // Output of a chunk that is not recorded
+        if (!collector.isSampled(outputId)) {
+          return;
+        }
+        if (inFlight.has(outputId) ||
+            collector.findEntry(outputId)?.[timerName]) {
+          inputChunkIds = outputId;
+        }
+        else {
+          // (chunks that started before the last linked chunk were most
+          // likely dropped and are not going to emit anything)
+          inputChunkIds = Array.from(inFlight.entries())
+            .find(([id, stat]) => stat.start >= lastLinkedStart)?.[0];
+          if (inputChunkIds === undefined) {
+            return;
+          }
+        }
+      }
+      if (!Array.isArray(inputChunkIds)) {
+        inputChunkIds = [inputChunkIds];
+      }
+      for (const inputChunkId of inputChunkIds) {
+        const stat = inFlight.get(inputChunkId) ??
+          collector.findEntry(inputChunkId)?.[timerName];
+        if (!stat) {
+          continue;
+        }
+        stat.outputs.push({ id: outputId, time });
+        lastLinkedStart = Math.max(lastLinkedStart, stat.start);
+        collector.touch(inputChunkId);
+        if (!emitsMany) {
+          completeChunk(inputChunkId, time);
+        }
+      }
+    }
+
+    // Record the end of the transformation of a chunk, unless already known
+    function completeChunk(chunkId, time) {
+      const stat = inFlight.get(chunkId);
+      if (!stat) {
+        return;
+      }
+      if (!stat.end) {
+        stat.end = time ?? (performance.timeOrigin + performance.now());
+      }
+      inFlight.delete(chunkId);
+      collector.touch(chunkId);
+      collector.measureStep(timerName, chunkId, stat);
+    }
+
+    function completeAllChunks() {
+      for (const chunkId of Array.from(inFlight.keys())) {
+        completeChunk(chunkId);
+      }
+    }
+
+    // Keep track of chunks written to the writable side of the stream, to
+    // sample the writable queue and compute the time that chunks spent waiting
+    // on backpressure. The writable queue is a FIFO queue, and chunks leave
+    // it once they have been transformed. Default high water marks are those
+    // of TransformStream.
+    const writableHighWaterMark = writableStrategy.highWaterMark ?? 1;
+    const readableHighWaterMark = readableStrategy.highWaterMark ?? 0;
+    const writableSize = writableStrategy.size ?? (_ => 1);
+    const writableQueue = [];
+    let writableQueueSize = 0;
+    let lastTransformEnd = 0;
+    writableStrategy = Object.assign({}, writableStrategy, {
+      highWaterMark: writableHighWaterMark,
+      size(chunk) {
+        const size = writableSize(chunk);
+        writableQueue.push({
+          size,
+          time: performance.timeOrigin + performance.now()
+        });
+        writableQueueSize += size;
+        return size;
+      }
+    });
+    readableStrategy = Object.assign({}, readableStrategy, {
+      highWaterMark: readableHighWaterMark
+    });
 
     const instrumentedTransformer = Object.assign({}, transformer, {
+      async start(controller) {
+        const info = collector.getStepInfo(timerName);
+        info.start = { start: performance.timeOrigin + performance.now() };
+        try {
+          if (transformer.start) {
+            const instrumentedController = new InstrumentedTransformStreamController(controller);
+            return await transformer.start.apply(this, [instrumentedController]);
+          }
+        }
+        catch (err) {
+          info.errors++;
+          throw err;
+        }
+        finally {
+          info.start.end = performance.timeOrigin + performance.now();
+        }
+      },
+
       async transform(chunk, controller) {
-        const chunkId = chunk?.[idProperty] ?? '__unidentified';
-        let stats = InstrumentedTransformStream.#stats.find(s => s.id === chunkId);
-        if (!stats) {
-          stats = {
-            id: chunkId
-          };
-          InstrumentedTransformStream.#stats.push(stats);
+        const chunkId = getChunkId(chunk) ?? '__unidentified';
+        if (!collector.isSampled(chunkId)) {
+          // Chunk is not recorded, writable queue still needs to be updated
+          const instrumentedController = new InstrumentedTransformStreamController(controller, chunkId);
+          try {
+            return await transformer.transform.apply(this, [chunk, instrumentedController]);
+          }
+          catch (err) {
+            collector.getStepInfo(timerName).errors++;
+            throw err;
+          }
+          finally {
+            writableQueueSize -= writableQueue.shift()?.size ?? 0;
+            lastTransformEnd = performance.timeOrigin + performance.now();
+          }
         }
+        const stats = collector.getEntry(chunkId);
+        const start = performance.timeOrigin + performance.now();
+
+        // The chunk may have had to wait for the previous chunk to be
+        // transformed. Any additional wait is due to backpressure.
+        const written = writableQueue[0];
+        const backpressureWait = written ?
+          Math.max(0, start - Math.max(written.time, lastTransformEnd)) :
+          0;
         stats[timerName] = {
-          start: performance.timeOrigin + performance.now()
+          start,
+          writableQueue: writableQueue.length,
+          writableDesiredSize: writableHighWaterMark - writableQueueSize,
+          backpressureWait,
+          outputs: []
         };
-        const instrumentedController = new InstrumentedTransformStreamController(controller, stats[timerName]);
-        const res = await transformer.transform.apply(this, [chunk, instrumentedController]);
+        inFlight.set(chunkId, stats[timerName]);
+        const instrumentedController = new InstrumentedTransformStreamController(controller, chunkId);
+        try {
+          return await transformer.transform.apply(this, [chunk, instrumentedController]);
+        }
+        catch (err) {
+          const info = collector.getStepInfo(timerName);
+          info.errors++;
+          info.rejected++;
+          stats[timerName].rejected = true;
+          completeChunk(chunkId);
+          throw err;
+        }
+        finally {
+          // Transformation may not have called controller.enqueue, or may
+          // have emitted more than one chunk
+          if (!deferCompletion) {
+            completeChunk(chunkId);
+          }
 
-        // Transformation may not have called controller.enqueue
-        if (!stats[timerName].end) {
-          stats[timerName].end = performance.timeOrigin + performance.now();
+          // Transform is only called when the readable side has room. The
+          // readable side is rather sampled once the chunk was transformed.
+          // (desired size is null once the stream errored)
+          stats[timerName].readableQueue = (controller.desiredSize === null) ?
+            null : readableHighWaterMark - controller.desiredSize;
+          stats[timerName].readableDesiredSize = controller.desiredSize;
+          collector.touch(chunkId);
+          writableQueue.shift();
+          writableQueueSize -= written?.size ?? 0;
+          lastTransformEnd = performance.timeOrigin + performance.now();
+        }
+      },
+
+      async flush(controller) {
+        const info = collector.getStepInfo(timerName);
+        info.flush = { start: performance.timeOrigin + performance.now() };
+        try {
+          if (transformer.flush) {
+            const instrumentedController = new InstrumentedTransformStreamController(controller);
+            return await transformer.flush.apply(this, [instrumentedController]);
+          }
+        }
+        catch (err) {
+          info.errors++;
+          throw err;
+        }
+        finally {
+          // Chunks still in flight are not going to emit anything
+          completeAllChunks();
+          info.flush.end = performance.timeOrigin + performance.now();
         }
-        return res;
       },
 
       setEndTime(chunkId) {
-        const stats = InstrumentedTransformStream.#stats.find(s => s.id === chunkId);
-        if (!stats) {
+        const stat = collector.findEntry(chunkId)?.[timerName];
+        if (!stat) {
           return;
         }
-        stats[timerName].end = performance.timeOrigin + performance.now();
+        stat.end = performance.timeOrigin + performance.now();
+        inFlight.delete(chunkId);
+        collector.touch(chunkId);
+        collector.measureStep(timerName, chunkId, stat);
       }
     });
 
     super(instrumentedTransformer, writableStrategy, readableStrategy);
   }
 
+  static get defaultCollector() {
+    return InstrumentedTransformStream.#defaultCollector;
+  }
+
   static collectStats() {
-    return InstrumentedTransformStream.#stats;
+    return InstrumentedTransformStream.#defaultCollector.collectStats();
   }
 
   static resetStats() {
-    InstrumentedTransformStream.#stats = [];
+    InstrumentedTransformStream.#defaultCollector.resetStats();
   }
 }
\ No newline at end of file
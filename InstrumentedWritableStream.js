@@ -0,0 +1,97 @@
+/**
+ * A drop-in replacement for WritableStream that records the time spent to
+ * write each chunk to the underlying sink and stores the result in a stats
+ * collector per chunk (provided that chunks have identifiers) for later
+ * retrieval.
+ *
+ * The class is the counterpart of InstrumentedTransformStream for sinks, and
+ * must be loaded after InstrumentedTransformStream.js. Streams that are not
+ * given a collector use the default collector of InstrumentedTransformStream.
+ *
+ * Writing a chunk starts when the stream calls the "write()" method of the
+ * underlying sink, and ends when the promise it returns resolves. The class
+ * also records, along with the start and end times:
+ * - "writableQueue": number of chunks in the queue, including the chunk being
+ * written, when writing starts.
+ * - "writableDesiredSize": desired size of the stream at that time.
+ * Queue sizes are in chunks unless the strategy defines a "size" function.
+ *
+ * Usage:
+ *
+ * const sink = new InstrumentedWritableStream({
+ *   name: 'sink',
+ *   collector,
+ *   async write(frame) {
+ *     await render(frame);
+ *   }
+ * });
+ */
+
+'use strict';
+
+
+/**
+ * A type of WritableStream that records the time spent to write each chunk.
+ */
+class InstrumentedWritableStream extends WritableStream {
+  static #timerLastId = 0;
+
+  constructor(underlyingSink = {}, strategy = {}) {
+    const timerName = underlyingSink.name ??
+      `sink-${InstrumentedWritableStream.#timerLastId++}`;
+    const idProperty = underlyingSink.chunkIdProperty ?? 'timestamp';
+    const collector = underlyingSink.collector ??
+      InstrumentedTransformStream.defaultCollector;
+
+    // Keep track of the size of chunks in the queue, which is a FIFO queue
+    const highWaterMark = strategy.highWaterMark ?? 1;
+    const chunkSize = strategy.size ?? (_ => 1);
+    const queue = [];
+    let queueSize = 0;
+    strategy = Object.assign({}, strategy, {
+      highWaterMark,
+      size(chunk) {
+        const size = chunkSize(chunk);
+        queue.push(size);
+        queueSize += size;
+        return size;
+      }
+    });
+
+    const instrumentedSink = Object.assign({}, underlyingSink, {
+      async write(chunk, controller) {
+        const chunkId = chunk?.[idProperty] ?? '__unidentified';
+        if (!collector.isSampled(chunkId)) {
+          try {
+            if (underlyingSink.write) {
+              return await underlyingSink.write.apply(this, [chunk, controller]);
+            }
+          }
+          finally {
+            queueSize -= queue.shift() ?? 0;
+          }
+          return;
+        }
+        const stats = collector.getEntry(chunkId);
+        stats[timerName] = {
+          start: performance.timeOrigin + performance.now(),
+          writableQueue: queue.length,
+          writableDesiredSize: highWaterMark - queueSize
+        };
+        try {
+          if (underlyingSink.write) {
+            return await underlyingSink.write.apply(this, [chunk, controller]);
+          }
+        }
+        finally {
+          stats[timerName].end = performance.timeOrigin + performance.now();
+          queueSize -= queue.shift() ?? 0;
+          collector.touch(chunkId);
+          collector.measureStep(timerName, chunkId, stats[timerName]);
+        }
+      }
+    });
+
+    super(instrumentedSink, strategy);
+  }
+}
\ No newline at end of file
@@ -0,0 +1,263 @@
+/**
+ * Estimates the offset and drift between the clock of the current context
+ * (typically the main thread) and the clock of a remote context (typically a
+ * worker), so that step times recorded in both contexts can be compared.
+ *
+ * Times recorded by instrumented streams are based on
+ * `performance.timeOrigin + performance.now()`. The time origin of a worker
+ * is not exactly the same as that of the main thread, and clocks may drift
+ * apart during a run. Differences are usually small but not negligible when
+ * hops between steps that run in different contexts take less than a
+ * millisecond.
+ *
+ * Estimation uses a ping/pong handshake over a MessagePort: a ping records
+ * the local time at which it was sent, the remote context replies with its
+ * own time, and the pong records the local time at which it was received.
+ * Assuming that the message took as long to go as to come back, the offset is
+ * the difference between the remote time and the local time in the middle of
+ * the round trip. The true offset is within half the round trip time of that
+ * estimate, which gives the uncertainty.
+ *
+ * Pings are sent in bursts, one after the other, and only the sample with the
+ * shortest round trip is kept for each burst. A first burst is sent when the
+ * synchronization starts, then one burst per interval. The offset and drift
+ * are obtained through a linear fit of the samples kept over time.
+ *
+ * The estimate improves as bursts get answered. Entries are aligned with the
+ * estimate available when they first get aligned: an entry that the remote
+ * context sends again (e.g. once its end time is known) is aligned with the
+ * same estimate, so that times recorded in both versions of the entry match.
+ * That holds for the last 1000 entries (per chunk identifier, "id"
+ * property).
+ *
+ * The remote context must reply to messages such as:
+ * `{ type: 'ping', id: 1 }`
+ * with:
+ * `{ type: 'pong', id: 1, time: performance.timeOrigin + performance.now() }`
+ *
+ * StepTimesCollector does that while it streams stats.
+ *
+ * Usage:
+ *
+ * const clockSync = new StepTimesClockSync(port);
+ * clockSync.start();
+ * await clockSync.ready;
+ * const alignedEntry = clockSync.alignEntry(entryFromWorker);
+ * console.log(clockSync.estimate);
+ *
+ * // The estimate looks like (offset and uncertainty in ms, drift in ppm):
+ * // { "offset": 0.42, "drift": 1.3, "uncertainty": 0.03, "rtt": 0.06, "samples": 40 }
+ */
+
+'use strict';
+
+
+/**
+ * Clock offset and drift estimation between two contexts.
+ */
+class StepTimesClockSync {
+  #port;
+  #samples;
+  #interval;
+  #timer = null;
+
+  // Pings sent and not yet answered, per ping identifier, and best sample of
+  // the current burst
+  #lastPingId = 0;
+  #pings = new Map();
+  #burstSamples = 0;
+  #burstBest = null;
+
+  // Best sample of each burst: local time, offset and round trip time
+  #bursts = [];
+  #nbSamples = 0;
+  #fitted = null;
+
+  // Fit used to align entries, per chunk identifier, for the last entries
+  #entryFits = new Map();
+  static #maxEntryFits = 1000;
+
+  #resolveReady;
+  #ready = new Promise(resolve => this.#resolveReady = resolve);
+  #listener = event => this.#onPong(event);
+
+  constructor(port, { samples, interval } = {}) {
+    this.#port = port;
+    this.#samples = samples ?? 8;
+    this.#interval = interval ?? 5000;
+  }
+
+  /**
+   * Promise that resolves when the first burst of pings is over, or when
+   * synchronization stops
+   */
+  get ready() {
+    return this.#ready;
+  }
+
+  /**
+   * Current estimate, or null if no ping got answered yet. The offset (in
+   * ms) is the time to subtract from remote times to get local times. It is
+   * given at the time of the last burst. The drift is in parts per million,
+   * positive when the remote clock runs faster.
+   */
+  get estimate() {
+    if (this.#bursts.length === 0) {
+      return null;
+    }
+    const { intercept, slope } = this.#fit();
+    const last = this.#bursts[this.#bursts.length - 1];
+    return {
+      offset: intercept + slope * (last.time - this.#bursts[0].time),
+      drift: slope * 1e6,
+      uncertainty: Math.max(...this.#bursts.map(burst => burst.rtt / 2)),
+      rtt: Math.min(...this.#bursts.map(burst => burst.rtt)),
+      samples: this.#nbSamples
+    };
+  }
+
+  start() {
+    clearInterval(this.#timer);
+    this.#port.addEventListener('message', this.#listener);
+    this.#port.start();
+    this.#startBurst();
+    this.#timer = setInterval(_ => this.#startBurst(), this.#interval);
+  }
+
+  /**
+   * Stop sending pings. The best sample of an unfinished burst still counts.
+   */
+  stop() {
+    clearInterval(this.#timer);
+    this.#timer = null;
+    this.#port.removeEventListener('message', this.#listener);
+    this.#pings = new Map();
+    if (this.#burstBest) {
+      this.#bursts.push(this.#burstBest);
+      this.#fitted = null;
+    }
+    this.#burstSamples = 0;
+    this.#burstBest = null;
+    this.#resolveReady();
+  }
+
+  /**
+   * Convert a time recorded in the remote context to local time
+   */
+  toLocalTime(time) {
+    if (this.#bursts.length === 0) {
+      return time;
+    }
+    return this.#toLocalTime(time, this.#fit());
+  }
+
+  #toLocalTime(time, { intercept, slope }) {
+    return time - (intercept + slope * (time - this.#bursts[0].time));
+  }
+
+  /**
+   * Return a copy of a step times entry recorded in the remote context, with
+   * start, end and output times converted to local time, using the estimate
+   * that was used the first time an entry with the same identifier got aligned
+   */
+  alignEntry(entry) {
+    let fit = this.#entryFits.get(entry.id);
+    if (!fit && this.#bursts.length > 0) {
+      fit = this.#fit();
+      this.#entryFits.set(entry.id, fit);
+      if (this.#entryFits.size > StepTimesClockSync.#maxEntryFits) {
+        this.#entryFits.delete(this.#entryFits.keys().next().value);
+      }
+    }
+    const toLocalTime = time => fit ? this.#toLocalTime(time, fit) : time;
+    const aligned = {};
+    for (const [name, value] of Object.entries(entry)) {
+      if (typeof value?.start !== 'number') {
+        aligned[name] = value;
+        continue;
+      }
+      aligned[name] = Object.assign({}, value, {
+        start: toLocalTime(value.start)
+      });
+      if (typeof value.end === 'number') {
+        aligned[name].end = toLocalTime(value.end);
+      }
+      if (Array.isArray(value.outputs)) {
+        aligned[name].outputs = value.outputs.map(output =>
+          Object.assign({}, output, { time: toLocalTime(output.time) }));
+      }
+    }
+    return aligned;
+  }
+
+  #startBurst() {
+    if (this.#burstSamples > 0 || this.#pings.size > 0) {
+      // Previous burst still running
+      return;
+    }
+    this.#sendPing();
+  }
+
+  #sendPing() {
+    const id = ++this.#lastPingId;
+    this.#pings.set(id, performance.timeOrigin + performance.now());
+    this.#port.postMessage({ type: 'ping', id });
+  }
+
+  #onPong(event) {
+    const received = performance.timeOrigin + performance.now();
+    if (event.data?.type !== 'pong' || !this.#pings.has(event.data.id)) {
+      return;
+    }
+    const sent = this.#pings.get(event.data.id);
+    this.#pings.delete(event.data.id);
+    const rtt = received - sent;
+    const sample = {
+      time: sent + rtt / 2,
+      offset: event.data.time - (sent + rtt / 2),
+      rtt
+    };
+    this.#nbSamples++;
+    this.#burstSamples++;
+    if (!this.#burstBest || sample.rtt < this.#burstBest.rtt) {
+      this.#burstBest = sample;
+    }
+
+    if (this.#burstSamples < this.#samples) {
+      this.#sendPing();
+    }
+    else {
+      this.#bursts.push(this.#burstBest);
+      this.#fitted = null;
+      this.#burstSamples = 0;
+      this.#burstBest = null;
+      this.#resolveReady();
+    }
+  }
+
+  // Least squares fit of offsets over time, relative to the first burst. The
+  // drift is only estimated once bursts span at least a second.
+  #fit() {
+    this.#fitted = this.#fitted ?? this.#computeFit();
+    return this.#fitted;
+  }
+
+  #computeFit() {
+    const t0 = this.#bursts[0].time;
+    const n = this.#bursts.length;
+    const avgTime = this.#bursts.reduce((sum, b) => sum + b.time - t0, 0) / n;
+    const avgOffset = this.#bursts.reduce((sum, b) => sum + b.offset, 0) / n;
+    const span = this.#bursts[n - 1].time - t0;
+    if (n < 2 || span < 1000) {
+      return { intercept: avgOffset, slope: 0 };
+    }
+    let covariance = 0;
+    let variance = 0;
+    for (const burst of this.#bursts) {
+      covariance += (burst.time - t0 - avgTime) * (burst.offset - avgOffset);
+      variance += (burst.time - t0 - avgTime) ** 2;
+    }
+    const slope = covariance / variance;
+    return { intercept: avgOffset - slope * avgTime, slope };
+  }
+}
\ No newline at end of file
@@ -0,0 +1,179 @@
+/**
+ * Compares two reports computed by StepTimesDB, typically a baseline run and
+ * a candidate run, to tell whether processing steps got slower or faster.
+ *
+ * For each step that appears in both reports, the comparison contains the
+ * deltas (candidate - baseline) for the avg, median and percentile stats, both
+ * in milliseconds and in percent of the baseline value. Steps that appear in
+ * only one of the reports are listed under "added" (candidate only) and
+ * "removed" (baseline only).
+ *
+ * To avoid mistaking noise for a regression, the comparison also contains a
+ * confidence interval for the difference between the average durations. The
+ * interval uses a normal approximation (Welch's method), computed from the
+ * count and the unrounded mean and variance of each step, which is good enough
+ * for runs that contain more than a few dozen frames.
+ *
+ * A step is flagged as a regression when at least one of its stats got slower
+ * by more than the threshold (in percent) and by at least a minimum delta (in
+ * milliseconds), and when the confidence interval shows that the average got
+ * slower. Improvements are flagged the same way.
+ *
+ * Usage:
+ *
+ * const comparator = new StepTimesComparator({ threshold: 10 });
+ * const comparison = comparator.compare(
+ *   baselineDB.computeStats(),
+ *   candidateDB.computeStats());
+ *
+ * // The comparison looks like:
+ * // {
+ * //   "options": { "threshold": 10, "minDelta": 1, "confidence": 0.95 },
+ * //   "steps": {
+ * //     "overlay": {
+ * //       "status": "regression",
+ * //       "significant": true,
+ * //       "flagged": ["median", "p95"],
+ * //       "deltas": {
+ * //         "avg": { "baseline": 2, "candidate": 4, "delta": 2, "percent": 100 },
+ * //         ...
+ * //       },
+ * //       "avgDeltaInterval": { "low": 1.7, "high": 2.3 }
+ * //     },
+ * //     ...
+ * //   },
+ * //   "regressions": ["overlay"],
+ * //   "improvements": [],
+ * //   "added": [],
+ * //   "removed": ["grey"]
+ * // }
+ */
+
+'use strict';
+
+
+/**
+ * Compare step times reports with regression thresholds.
+ */
+class StepTimesComparator {
+  /**
+   * Stats that get compared
+   */
+  static METRICS = ['avg', 'median', 'p75', 'p90', 'p95', 'p99'];
+
+  /**
+   * Critical values of the standard normal distribution for supported
+   * (two-sided) confidence levels
+   */
+  static Z_SCORES = {
+    0.9: 1.645,
+    0.95: 1.96,
+    0.99: 2.576
+  };
+
+  #threshold;
+  #minDelta;
+  #confidence;
+
+  constructor({ threshold, minDelta, confidence } = {}) {
+    this.#threshold = threshold ?? 10;
+    this.#minDelta = minDelta ?? 1;
+    this.#confidence = confidence ?? 0.95;
+    if (!StepTimesComparator.Z_SCORES[this.#confidence]) {
+      throw new Error(`Unsupported confidence level ${this.#confidence}`);
+    }
+  }
+
+  /**
+   * Compare a candidate report with a baseline report. Reports are objects
+   * returned by StepTimesDB.computeStats().
+   */
+  compare(baseline, candidate) {
+    const z = StepTimesComparator.Z_SCORES[this.#confidence];
+    const res = {
+      options: {
+        threshold: this.#threshold,
+        minDelta: this.#minDelta,
+        confidence: this.#confidence
+      },
+      steps: {},
+      regressions: [],
+      improvements: [],
+      added: [],
+      removed: []
+    };
+
+    const hasStep = (report, step) => report.stats[step]?.count > 0;
+    res.added = Object.keys(candidate.stats)
+      .filter(step => hasStep(candidate, step) && !hasStep(baseline, step));
+    res.removed = Object.keys(baseline.stats)
+      .filter(step => hasStep(baseline, step) && !hasStep(candidate, step));
+
+    const steps = Object.keys(candidate.stats)
+      .filter(step => hasStep(baseline, step) && hasStep(candidate, step));
+    for (const step of steps) {
+      const before = baseline.stats[step];
+      const after = candidate.stats[step];
+
+      const deltas = {};
+      for (const metric of StepTimesComparator.METRICS) {
+        const delta = after[metric] - before[metric];
+        deltas[metric] = {
+          baseline: before[metric],
+          candidate: after[metric],
+          delta,
+          percent: before[metric] ? Math.round(delta / before[metric] * 100) : null
+        };
+      }
+
+      // Welch's confidence interval for the difference between averages,
+      // computed on unrounded values (reports exported before these values
+      // were reported only have the rounded ones)
+      const mean = stats => stats.mean ?? stats.avg;
+      const variance = stats => stats.variance ?? stats.stddev * stats.stddev;
+      const avgDelta = mean(after) - mean(before);
+      const stdError = Math.sqrt(
+        variance(before) / before.count +
+        variance(after) / after.count);
+      const low = avgDelta - z * stdError;
+      const high = avgDelta + z * stdError;
+
+      // A stat is beyond threshold if it changed by more than the threshold
+      // (in percent of the baseline) and by at least the minimum delta. A
+      // baseline of 0ms means that any change beyond the minimum delta counts.
+      const beyondThreshold = (deltas, sign) =>
+        sign * deltas.delta >= this.#minDelta &&
+        (deltas.percent === null || sign * deltas.percent > this.#threshold);
+      const slower = StepTimesComparator.METRICS
+        .filter(metric => beyondThreshold(deltas[metric], 1));
+      const faster = StepTimesComparator.METRICS
+        .filter(metric => beyondThreshold(deltas[metric], -1));
+
+      let status = 'same';
+      let flagged = [];
+      if (slower.length > 0 && low > 0) {
+        status = 'regression';
+        flagged = slower;
+        res.regressions.push(step);
+      }
+      else if (faster.length > 0 && high < 0) {
+        status = 'improvement';
+        flagged = faster;
+        res.improvements.push(step);
+      }
+
+      res.steps[step] = {
+        status,
+        significant: low > 0 || high < 0,
+        flagged,
+        deltas,
+        avgDeltaInterval: {
+          low: Math.round(low * 10) / 10,
+          high: Math.round(high * 10) / 10
+        }
+      };
+    }
+
+    return res;
+  }
+}
\ No newline at end of file
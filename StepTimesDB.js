@@ -29,19 +29,253 @@
  * timesDB.addEntries(timeEntries);
  * const report = timesDB.computeStats();
  *
- * When a step only has a "start" time, the code assumes that the step ends when
- * the next chunk reaches the same processing step. That logic works well with
- * a "display" step in a stream of video frames where a frame replaces the
- * former one. It won't work for cases where "end" should rather be the start
- * time of next processing step (to handle these cases, calling code has to take
- * care of setting the "end" property itself).
+ * When a step only has a "start" time, the code infers its end time according
+ * to the end inference strategy of the step:
+ * - "next-chunk": the step ends when the next chunk reaches the same processing
+ * step. That logic works well with a "display" step in a stream of video frames
+ * where a frame replaces the former one.
+ * - "next-step": the step ends when the same chunk reaches its next processing
+ * step.
+ * - "none": the end time is not inferred, the step is ignored for that chunk.
+ *
+ * Strategies are declared per step through the "endInference" parameter passed
+ * to the constructor, an object whose keys are step names and whose values are
+ * strategies. Steps not listed there use the "defaultEndInference" strategy,
+ * "next-chunk" by default. Inferred end times are only used to compute the
+ * report, they are not stored in the db.
  * 
- * Stats reported contain minimum, maximum, average, median and count stats for
- * step durations.
+ * Stats reported contain minimum, maximum, average, median, count, 75th, 90th,
+ * 95th and 99th percentiles, and standard deviation stats for step durations,
+ * rounded to the millisecond, along with a histogram of durations. The average
+ * and variance are also reported unrounded under "mean" and "variance", for
+ * statistical comparisons of steps that take less than a millisecond. The
+ * histogram is an array of buckets of equal width between the minimum and
+ * maximum durations. Each bucket is an object with "from", "to" and "count"
+ * properties. The number of buckets defaults to 10 and can be set through the
+ * "histogramBuckets" parameter passed to the constructor.
  * 
+ * Steps listed in the "excludeSteps" parameter passed to the constructor do not
+ * get reported (but still count as processing steps to compute the time spent
+ * in queues). Steps are reported in processing order, determined from the
+ * average time at which chunks reached them. The ordered list of steps is
+ * reported under "steps".
+ *
+ * Steps may also be grouped through the "stepGroups" parameter passed to the
+ * constructor, an object whose keys are group names and whose values are the
+ * list of steps in the group. For instance:
+ *
+ * { "transform": ["background", "grey"] }
+ *
+ * Groups are reported as aggregated steps, the duration of a group for a chunk
+ * being the sum of the durations of the steps in the group that the chunk went
+ * through. Groups appear in the ordered list of steps after their last step.
+ * Group stats are computed from retained entries only.
+ *
  * Stats reported also contain end-to-end statistics and the time spent in
  * between processing steps, i.e. time spent in queues, provided that the names
  * of the initial and final steps were given to the constructor.
+ *
+ * The time spent in queues is also reported per hop, a hop being the wait
+ * between the end of a processing step and the start of the next processing
+ * step for the same chunk. Hop stats are reported under "hops", in processing
+ * order, with hops named after the steps they connect, e.g. "input→toRGBX".
+ * The report also contains a "bottleneck" summary that names the hop and the
+ * processing step that take the most time on average:
+ *
+ * {
+ *   "hop": { "name": "decode→toGPU-overlay", "avg": 12 },
+ *   "step": { "name": "background", "avg": 18 }
+ * }
+ *
+ * Step times may also contain samples of the state of stream queues, as
+ * recorded by InstrumentedTransformStream ("writableQueue", "readableQueue" and
+ * "backpressureWait" properties). Instrumented sources and sinks only record
+ * some of these properties. The report then contains a "pressure" summary per
+ * step, to see where chunks pile up:
+ *
+ * {
+ *   "overlay": {
+ *     "writableQueue": { "avg": 1.2, "max": 3 },
+ *     "readableQueue": { "avg": 0.1, "max": 1 },
+ *     "backpressureWait": { "count": 1500, "avg": 2, ... }
+ *   }
+ * }
+ *
+ * Step times recorded by InstrumentedTransformStream may also list the chunks
+ * emitted for the chunk at that step ("outputs" property). These links are
+ * kept in raw entries but do not change the stats: a step ends at its "end"
+ * time.
+ *
+ * Per-step accounting info returned by StepTimesCollector.collectStepInfo()
+ * may be added with "addStepInfo()". Counters get summed up across calls. The
+ * report then contains an "accounting" summary per step (except excluded
+ * steps), with the durations of the "start()" and "flush()" methods of the
+ * transformer in ms (null when unknown), and the number of errors, rejected
+ * chunks and dropped chunks:
+ *
+ * {
+ *   "encode": {
+ *     "start": 12, "flush": 3, "errors": 0, "rejected": 0, "dropped": 1
+ *   }
+ * }
+ *
+ * Entries recorded in different contexts (e.g. workers) should use the same
+ * clock. StepTimesClockSync can align times before entries get added. Clock
+ * estimates may then be recorded per context with "setClockSync()", and the
+ * report contains them under "clocks", with offsets and uncertainties in ms
+ * and drifts in ppm:
+ *
+ * {
+ *   "transform": {
+ *     "offset": 0.42, "drift": 1.3, "uncertainty": 0.03, "rtt": 0.06, "samples": 40
+ *   }
+ * }
+ *
+ * When the name of the step that displays chunks is given to the constructor
+ * through the "displayStep" parameter, the report also contains a "delivery"
+ * analysis that matches chunks seen at the initial step against chunks that
+ * were displayed:
+ *
+ * {
+ *   "produced": 1500,     // Number of chunks seen at the initial step
+ *   "displayed": 1480,    // Number of these chunks that were displayed
+ *   "dropped": 12,        // Chunks that never got displayed
+ *   "inFlight": 2,        // Chunks produced after the last displayed chunk
+ *   "duplicated": 3,      // Chunks displayed more than once
+ *   "collisions": 0,      // Displays of distinct chunks sharing an id
+ *   "outOfOrder": 1,      // Chunks displayed after a more recent chunk
+ *   "unidentified": 6,    // Displays that could not be tied to a chunk
+ *   "undecodable": 4,     // Displays flagged as undecodable
+ *   "corrected": 2,       // Displays flagged as corrected
+ *   "stale": 0,           // Displays flagged as stale
+ *   "sequenceGaps": 11,   // Sequence numbers missing from displays
+ *   "longestFreeze": { "id": 24000, "start": 1616.5, "duration": 120 }
+ * }
+ *
+ * Displays that could not be tied to a chunk are entries that have a start
+ * time for the display step but no start time for the initial step (e.g.
+ * frames that were presented but could not be inspected). Dropped chunks may
+ * include chunks that were displayed but could not be identified as a result.
+ * The longest freeze is the longest time during which a displayed chunk
+ * remained on display. A chunk is counted once as duplicated when the display
+ * step gets recorded more than once for it (with different start times). The
+ * earliest display time is the one that is kept. More generally, when a step
+ * gets recorded again for a chunk with a different start time, the earliest
+ * record of the step is kept.
+ *
+ * Display step times may be flagged with an "undecodable" property when the
+ * displayed chunk could not be identified (e.g. because the overlay that
+ * encodes its identifier could not be read), or with a "corrected" property
+ * when identification required correcting a misread, or with a "stale"
+ * property when the displayed chunk belongs to a previous run. Undecodable
+ * and stale displays are also counted as unidentified.
+ *
+ * Display step times may also have a "sequence" number, when displayed chunks
+ * carry a counter that increases with each chunk. The display step is then
+ * counted as a collision rather than a duplicate when it gets recorded again
+ * for a chunk with a different sequence number, meaning that distinct chunks
+ * share the same identifier. The colliding display is kept as its own entry,
+ * under identifier "<id>#<sequence>", so that it does not replace the display
+ * of the first chunk. That entry cannot be tied to the other steps of the
+ * chunk, and thus counts as unidentified. Sequence gaps are the sequence
+ * numbers between the lowest and highest displayed sequence numbers that were
+ * not displayed, which gives the number of dropped chunks without relying on
+ * identifiers (null when displays have no sequence number, or in sampling mode
+ * since sampled displays do not have consecutive sequence numbers).
+ *
+ * The report also contains a time series of these metrics, to see how they
+ * evolve during the run (e.g. warm-up effects, periodic spikes). The time
+ * series splits the run into buckets of equal duration, one second by default,
+ * which can be changed through the "timeSeriesInterval" parameter (in
+ * milliseconds) passed to the constructor. Each bucket reports, for each step,
+ * the number of chunks that started the step during the bucket, and the median
+ * duration of the step for these chunks. For instance:
+ *
+ * {
+ *   "interval": 1000,
+ *   "start": 1614.0,
+ *   "buckets": [
+ *     {
+ *       "time": 0,
+ *       "counts": { "input": 25, "overlay": 25, "display": 24 },
+ *       "medians": { "input": 0, "overlay": 2, "display": 40, "end2end": 12 }
+ *     },
+ *     ...
+ *   ]
+ * }
+ *
+ * Chunks are assigned to buckets based on the start time of the initial step
+ * for "end2end". Counts give the effective frame rate of each step when the
+ * interval is one second.
+ *
+ * Chunks processed at the beginning of a run may take longer than others (setup
+ * of WebGPU devices, WebAssembly instantiation, encoder configuration, etc.).
+ * The first chunks can be left out of the stats through the "warmupFrames"
+ * (number of chunks) and "warmupDuration" (in milliseconds) parameters passed
+ * to the constructor. Chunks are ordered by the start time of their initial
+ * step (or their earliest start time if the initial step is not known), no
+ * matter the order in which their entries were added to the db, and the
+ * warm-up period is decided when the report is computed. Entries that have no
+ * start time for the initial step (e.g. displays that could not be tied to a
+ * chunk) belong to the warm-up period when they reached a step before all the
+ * chunks that do not belong to the warm-up period. Warm-up chunks still appear
+ * in raw entries, per-chunk durations (with a "warmup" flag) and in the time
+ * series. Per-chunk durations are null for steps that the chunk did not go
+ * through.
+ *
+ * Outliers may also be set aside through the "outliers" parameter passed to
+ * the constructor. The only supported classification for now is "iqr": a
+ * duration is an outlier if it is more than "outlierFactor" (1.5 by default)
+ * times the interquartile range below the first quartile or above the third
+ * quartile. When outliers are set aside, stats are computed without them, and
+ * an "outliers" property in stats gives their count, min and max, and the low
+ * and high limits used to classify them. Running aggregates cannot be used in
+ * that case, stats are computed from retained entries only.
+ *
+ * When instrumentation runs in sampling mode (see StepTimesSampler), the same
+ * sampling options should be passed to the constructor through the "sampling"
+ * parameter. Entries of chunks that are not sampled, e.g. display times
+ * recorded for all frames, are then ignored so that stats are computed from
+ * the sample. Counts in stats, in the time series and in the delivery analysis
+ * are sample counts. Consecutive sampled chunks are not consecutive chunks:
+ * the "next-chunk" end inference strategy is disabled in sampling mode (steps
+ * that use it are treated as "none"), and the longest freeze in the delivery
+ * analysis is null. StepTimesSampler.js must be loaded in that case.
+ *
+ * Filtering parameters are recorded in the report under "filtering", along
+ * with the number of chunks that were left out as warm-up chunks, and the
+ * expected fraction of chunks that were sampled ("samplingFraction", 1 when
+ * sampling is not used).
+ *
+ * Entries are indexed by chunk identifier. To keep memory and processing time
+ * under control during long runs, the number of retained entries can be capped
+ * through the "maxEntries" parameter passed to the constructor. Once the cap is
+ * reached, entries of the chunks that started first get dropped. Entries of one
+ * chunk may arrive in separate batches (e.g. one per worker): steps that arrive
+ * after the chunk was dropped are ignored, so that the chunk does not come back
+ * as a partial entry (identifiers of the last "maxEntries" dropped chunks are
+ * remembered for that purpose). Retained entries are tracked in a min-heap
+ * ordered by start time, so that dropping an entry does not require scanning
+ * all of them. Durations of dropped chunks are added to running aggregates.
+ * Count, minimum, maximum, average and standard deviation of step durations and
+ * of end-to-end durations are computed from these aggregates and from retained
+ * entries, and thus cover the whole run. Median, percentiles and histogram are
+ * computed from retained entries. The "sampleCount" property in stats gives the
+ * number of durations these stats were computed from. Stats of steps whose end
+ * time is inferred, "queued" stats, the time series and the delivery analysis
+ * (except the number of duplicated chunks) are also computed from retained
+ * entries only.
+ *
+ * The report may also embed the configuration of the run that produced the
+ * times, set through the "config" parameter passed to the constructor (or
+ * through the "config" property).
+ *
+ * Reports can be exported to JSON and to CSV, and a JSON export can be loaded
+ * back into a new db to compute the same stats again later on:
+ *
+ * const json = timesDB.exportJSON();
+ * const csv = timesDB.exportCSV();
+ * const importedDB = StepTimesDB.importJSON(json);
  */
 
 'use strict';
@@ -52,42 +286,360 @@
  * individual chunks (video frames, typically) in a stream.
  */
 class StepTimesDB {
+  /**
+   * Identifier and version of the JSON export format. The version must be
+   * bumped whenever the structure of the export changes in a way that would
+   * prevent previous exports from being imported.
+   */
+  static EXPORT_FORMAT = 'steptimesdb-report';
+  static EXPORT_VERSION = 2;
+
   #chunkIdProperty;
   #initialStep;
   #finalStep;
+  #displayStep;
   #excludeSteps;
-  #times = [];
+  #stepGroups;
+  #endInference;
+  #defaultEndInference;
+  #histogramBuckets;
+  #timeSeriesInterval;
+  #warmupFrames;
+  #warmupDuration;
+  #outliers;
+  #outlierFactor;
+  #config;
+  #maxEntries;
+  #sampler;
+
+  // Entries indexed by chunk identifier
+  #entries = new Map();
+
+  // Identifiers of the last chunks whose entries were dropped because of the
+  // cap, in drop order (no more than the cap)
+  #droppedIds = new Set();
+
+  // Min-heap of candidates for the next drop, objects with "id" and "start"
+  // properties, ordered by start time. A candidate is pushed each time the
+  // earliest start time of an entry changes, outdated candidates get skipped
+  // when they reach the top of the heap.
+  #dropCandidates = [];
+
+  // Running aggregates of dropped entries per step (and for "end2end"), each
+  // an object with "count", "sum", "sumOfSquares", "min" and "max" properties.
+  #aggregates = {};
+
+  // Identifiers of chunks for which a step was recorded more than once, per
+  // step
+  #duplicates = {};
+
+  // Identifiers of the entries that keep a step recorded again for a chunk
+  // with a different sequence number, per step
+  #collisions = {};
 
-  constructor({ chunkIdProperty, initialStep, finalStep, excludeSteps } = {}) {
+  // Accounting info per step, added through addStepInfo()
+  #stepInfo = {};
+
+  // Clock estimates per context, set through setClockSync()
+  #clocks = {};
+
+  // Earliest chunk start time, and number of dropped chunks that had a start
+  // time, needed to tell whether chunks belong to the warm-up period
+  #runStart = null;
+  #nbDroppedChunks = 0;
+
+  constructor({ chunkIdProperty, initialStep, finalStep, displayStep,
+                excludeSteps, stepGroups, endInference, defaultEndInference,
+                histogramBuckets, timeSeriesInterval,
+                warmupFrames, warmupDuration, outliers, outlierFactor,
+                maxEntries, sampling, config } = {}) {
     this.#chunkIdProperty = chunkIdProperty ?? 'id';
     this.#initialStep = initialStep ?? null;
     this.#finalStep = finalStep ?? null;
-    this.#excludeSteps = ['display'];
-    this.#times = [];
+    this.#displayStep = displayStep ?? null;
+    this.#excludeSteps = excludeSteps ?? [];
+    this.#stepGroups = stepGroups ?? {};
+    this.#endInference = endInference ?? {};
+    this.#defaultEndInference = defaultEndInference ?? 'next-chunk';
+    for (const strategy of Object.values(this.#endInference).concat(this.#defaultEndInference)) {
+      if (!['next-chunk', 'next-step', 'none'].includes(strategy)) {
+        throw new Error(`Unsupported end inference strategy ${strategy}`);
+      }
+    }
+    this.#histogramBuckets = histogramBuckets ?? 10;
+    this.#timeSeriesInterval = timeSeriesInterval ?? 1000;
+    this.#warmupFrames = warmupFrames ?? 0;
+    this.#warmupDuration = warmupDuration ?? 0;
+    this.#outliers = outliers ?? 'none';
+    this.#outlierFactor = outlierFactor ?? 1.5;
+    if (!['none', 'iqr'].includes(this.#outliers)) {
+      throw new Error(`Unsupported outliers classification ${this.#outliers}`);
+    }
+    this.#config = config ?? null;
+    this.#maxEntries = maxEntries ?? Infinity;
+    this.#sampler = sampling ? new StepTimesSampler(sampling) : null;
+  }
+
+  get config() {
+    return this.#config;
+  }
+
+  set config(config) {
+    this.#config = config ?? null;
   }
 
   reset() {
-    this.#times = [];
+    this.#entries = new Map();
+    this.#droppedIds = new Set();
+    this.#dropCandidates = [];
+    this.#aggregates = {};
+    this.#duplicates = {};
+    this.#collisions = {};
+    this.#stepInfo = {};
+    this.#clocks = {};
+    this.#runStart = null;
+    this.#nbDroppedChunks = 0;
   }
 
   find(id) {
-    return this.#times.find(t => t[this.#chunkIdProperty] === id);
+    return this.#entries.get(id);
   }
 
   addEntry(entry) {
-    if (!entry[this.#chunkIdProperty]) {
+    const id = entry[this.#chunkIdProperty];
+    if (!id) {
+      return;
+    }
+    // (entries of colliding steps belong to a sampled chunk)
+    if (this.#sampler && !this.#sampler.isSampled(id) &&
+        !Object.values(this.#collisions).some(ids => ids.has(id))) {
       return;
     }
-    const existingEntry = this.#times.find(s =>
-      s[this.#chunkIdProperty] === entry[this.#chunkIdProperty]);
-    if (existingEntry) {
-      Object.assign(existingEntry, entry);
+    if (this.#droppedIds.has(id)) {
+      return;
+    }
+    let storedEntry = this.#entries.get(id);
+    const previousStart = storedEntry ?
+      this.#getEarliestStart(storedEntry) :
+      undefined;
+    if (storedEntry) {
+      for (const step of Object.keys(entry)) {
+        if (step !== this.#chunkIdProperty &&
+            storedEntry[step]?.start && entry[step]?.start &&
+            storedEntry[step].start !== entry[step].start) {
+          const collision =
+            typeof storedEntry[step].sequence === 'number' &&
+            typeof entry[step].sequence === 'number' &&
+            storedEntry[step].sequence !== entry[step].sequence;
+          if (collision) {
+            // The step belongs to a distinct chunk, keep it on its own
+            const collidingId = `${id}#${entry[step].sequence}`;
+            this.#collisions[step] = this.#collisions[step] ?? new Set();
+            this.#collisions[step].add(collidingId);
+            this.addEntry({
+              [this.#chunkIdProperty]: collidingId,
+              [step]: entry[step]
+            });
+            continue;
+          }
+          this.#duplicates[step] = this.#duplicates[step] ?? new Set();
+          this.#duplicates[step].add(id);
+          if (entry[step].start < storedEntry[step].start) {
+            storedEntry[step] = entry[step];
+          }
+        }
+        else {
+          storedEntry[step] = entry[step];
+        }
+      }
     }
     else {
-      this.#times.push(entry);
+      // (copy the entry, entries of other collectors get merged into it)
+      storedEntry = Object.assign({}, entry);
+      this.#entries.set(id, storedEntry);
+    }
+
+    const start = this.#getChunkStart(storedEntry);
+    if (start) {
+      this.#runStart = Math.min(this.#runStart ?? start, start);
+    }
+
+    if (Number.isFinite(this.#maxEntries)) {
+      const earliestStart = this.#getEarliestStart(storedEntry);
+      if (earliestStart !== previousStart) {
+        this.#pushDropCandidate({ id, start: earliestStart });
+      }
+      while (this.#entries.size > this.#maxEntries) {
+        this.#dropFirstChunk();
+      }
+    }
+  }
+
+  // Return the earliest start time of the steps of the entry, -Infinity if
+  // no step has a start time (so that the entry gets dropped first)
+  #getEarliestStart(entry) {
+    let earliest = Infinity;
+    for (const step of Object.keys(entry)) {
+      if (step !== this.#chunkIdProperty && entry[step]?.start) {
+        earliest = Math.min(earliest, entry[step].start);
+      }
+    }
+    return Number.isFinite(earliest) ? earliest : -Infinity;
+  }
+
+  #pushDropCandidate(candidate) {
+    const heap = this.#dropCandidates;
+    heap.push(candidate);
+    let idx = heap.length - 1;
+    while (idx > 0) {
+      const parent = (idx - 1) >> 1;
+      if (heap[parent].start <= heap[idx].start) {
+        break;
+      }
+      [heap[parent], heap[idx]] = [heap[idx], heap[parent]];
+      idx = parent;
+    }
+  }
+
+  #popDropCandidate() {
+    const heap = this.#dropCandidates;
+    const top = heap[0];
+    const last = heap.pop();
+    if (heap.length > 0) {
+      heap[0] = last;
+      let idx = 0;
+      while (true) {
+        const left = 2 * idx + 1;
+        const right = left + 1;
+        let smallest = idx;
+        if (left < heap.length && heap[left].start < heap[smallest].start) {
+          smallest = left;
+        }
+        if (right < heap.length && heap[right].start < heap[smallest].start) {
+          smallest = right;
+        }
+        if (smallest === idx) {
+          break;
+        }
+        [heap[smallest], heap[idx]] = [heap[idx], heap[smallest]];
+        idx = smallest;
+      }
+    }
+    return top;
+  }
+
+  // Drop the entry of the chunk that started first, adding its durations to
+  // running aggregates unless it belongs to the warm-up period. Entries that
+  // have no start time at all get dropped first. Chunks get dropped in start
+  // order, so a dropped chunk belongs to the warm-up period if not enough
+  // chunks were dropped before it or if it started early enough.
+  #dropFirstChunk() {
+    let first;
+    let entry;
+    do {
+      first = this.#popDropCandidate();
+      entry = this.#entries.get(first.id);
+    } while (!entry || this.#getEarliestStart(entry) !== first.start);
+    this.#entries.delete(first.id);
+    this.#droppedIds.add(first.id);
+    if (this.#droppedIds.size > this.#maxEntries) {
+      this.#droppedIds.delete(this.#droppedIds.values().next().value);
+    }
+    const start = this.#getChunkStart(entry);
+    if (start) {
+      this.#nbDroppedChunks++;
+    }
+    if (this.#warmupFrames || this.#warmupDuration) {
+      if (!start || this.#nbDroppedChunks <= this.#warmupFrames ||
+          start < this.#runStart + this.#warmupDuration) {
+        return;
+      }
+    }
+    for (const step of Object.keys(entry)) {
+      if (step !== this.#chunkIdProperty && !this.#excludeSteps.includes(step) &&
+          entry[step]?.start && entry[step]?.end) {
+        this.#addToAggregate(step, entry[step].end - entry[step].start);
+      }
+    }
+    if (this.#initialStep && this.#finalStep &&
+        entry[this.#initialStep]?.start && entry[this.#finalStep]?.end) {
+      this.#addToAggregate('end2end',
+        entry[this.#finalStep].end - entry[this.#initialStep].start);
     }
   }
 
+  // Return the set of retained entries that belong to the warm-up period,
+  // ranking chunks by start time after those that were already dropped
+  #getWarmupEntries(entries) {
+    const warmup = new Set();
+    if (!this.#warmupFrames && !this.#warmupDuration) {
+      return warmup;
+    }
+    const started = entries
+      .map(entry => ({ entry, start: this.#getChunkStart(entry) }))
+      .filter(({ start }) => start)
+      .sort((chunk1, chunk2) => chunk1.start - chunk2.start);
+
+    // Earliest start time of each step among chunks that do not belong to the
+    // warm-up period
+    const warmupEnds = {};
+    started.forEach(({ entry, start }, idx) => {
+      if (this.#nbDroppedChunks + idx < this.#warmupFrames ||
+          start < this.#runStart + this.#warmupDuration) {
+        warmup.add(entry);
+        return;
+      }
+      for (const step of Object.keys(entry)) {
+        if (step !== this.#chunkIdProperty && entry[step]?.start) {
+          warmupEnds[step] = Math.min(warmupEnds[step] ?? Infinity, entry[step].start);
+        }
+      }
+    });
+
+    for (const entry of entries) {
+      if (this.#getChunkStart(entry)) {
+        continue;
+      }
+      const early = Object.keys(entry).find(step =>
+        step !== this.#chunkIdProperty && entry[step]?.start &&
+        entry[step].start < (warmupEnds[step] ?? Infinity));
+      if (early) {
+        warmup.add(entry);
+      }
+    }
+    return warmup;
+  }
+
+  // Return the time at which the chunk started, i.e. the start time of the
+  // initial step, or the earliest start time if the initial step is not known
+  #getChunkStart(entry) {
+    if (this.#initialStep) {
+      return entry[this.#initialStep]?.start;
+    }
+    const starts = Object.keys(entry)
+      .filter(step => step !== this.#chunkIdProperty && entry[step]?.start)
+      .map(step => entry[step].start);
+    return starts.length > 0 ? Math.min(...starts) : null;
+  }
+
+  #addToAggregate(name, duration) {
+    let aggregate = this.#aggregates[name];
+    if (!aggregate) {
+      aggregate = this.#aggregates[name] = {
+        count: 0,
+        sum: 0,
+        sumOfSquares: 0,
+        min: Infinity,
+        max: -Infinity
+      };
+    }
+    aggregate.count++;
+    aggregate.sum += duration;
+    aggregate.sumOfSquares += duration * duration;
+    aggregate.min = Math.min(aggregate.min, duration);
+    aggregate.max = Math.max(aggregate.max, duration);
+  }
+
   addEntries(entries) {
     for (const entry of entries) {
       this.addEntry(entry);
@@ -95,43 +647,236 @@ class StepTimesDB {
   }
 
   /**
-   * Compute a report with min/max/avg/media statistics for collected times.
+   * Add per-step accounting info, as returned by
+   * StepTimesCollector.collectStepInfo().
+   */
+  addStepInfo(stepInfo) {
+    for (const [step, info] of Object.entries(stepInfo ?? {})) {
+      const stored = this.#stepInfo[step] ??
+        { start: null, flush: null, errors: 0, rejected: 0, dropped: 0 };
+      for (const method of ['start', 'flush']) {
+        if (info[method]?.start && info[method]?.end) {
+          stored[method] = info[method].end - info[method].start;
+        }
+      }
+      for (const counter of ['errors', 'rejected', 'dropped']) {
+        stored[counter] += info[counter] ?? 0;
+      }
+      this.#stepInfo[step] = stored;
+    }
+  }
+
+  /**
+   * Record the clock estimate of a context, as returned by
+   * StepTimesClockSync.estimate. A null estimate is ignored.
+   */
+  setClockSync(context, estimate) {
+    if (estimate) {
+      this.#clocks[context] = estimate;
+    }
+  }
+
+  /**
+   * Compute a report with min/max/avg/median/percentiles statistics for
+   * collected times.
    */
   computeStats() {
+    const storedTimes = Array.from(this.#entries.values());
+
+    // Infer end times of steps that only have a start time, according to the
+    // end inference strategy of the step. Inferred end times are set on copies
+    // of stored entries. Entries only need to be sorted for steps that use the
+    // "next-chunk" strategy, which cannot be used when entries are sampled
+    // (the next sampled chunk is not the next chunk).
+    const inferredEnds = new Map();
+    const inferredSteps = new Set();
+    const setInferredEnd = (entry, step, end) => {
+      if (!inferredEnds.has(entry)) {
+        inferredEnds.set(entry, {});
+      }
+      inferredEnds.get(entry)[step] = end;
+    };
+    const stepNames = new Set();
+    for (const entry of storedTimes) {
+      Object.keys(entry)
+        .filter(step => step !== this.#chunkIdProperty)
+        .forEach(step => stepNames.add(step));
+    }
+    for (const step of stepNames) {
+      const strategy = this.#endInference[step] ?? this.#defaultEndInference;
+      if (strategy === 'none' || (strategy === 'next-chunk' && this.#sampler) ||
+          !storedTimes.find(entry => entry[step]?.start && !entry[step].end)) {
+        continue;
+      }
+      inferredSteps.add(step);
+      if (strategy === 'next-chunk') {
+        const started = storedTimes
+          .filter(entry => entry[step]?.start)
+          .sort((t1, t2) => t1[step].start - t2[step].start);
+        started.forEach((entry, index) => {
+          if (!entry[step].end && started[index + 1]) {
+            setInferredEnd(entry, step, started[index + 1][step].start);
+          }
+        });
+      }
+      else {
+        for (const entry of storedTimes) {
+          if (!entry[step]?.start || entry[step].end) {
+            continue;
+          }
+          const nextStart = Object.keys(entry)
+            .filter(other => other !== this.#chunkIdProperty && other !== step)
+            .map(other => entry[other]?.start)
+            .filter(start => start >= entry[step].start)
+            .reduce((min, start) => Math.min(min, start), Infinity);
+          if (Number.isFinite(nextStart)) {
+            setInferredEnd(entry, step, nextStart);
+          }
+        }
+      }
+    }
+    const allTimes = storedTimes.map(entry => {
+      const ends = inferredEnds.get(entry);
+      if (!ends) {
+        return entry;
+      }
+      const copy = Object.assign({}, entry);
+      for (const [step, end] of Object.entries(ends)) {
+        copy[step] = Object.assign({}, entry[step], { end });
+      }
+      return copy;
+    });
+
+    // Chunks in the warm-up period only appear in raw entries, per-chunk
+    // durations and the time series
+    const warmupEntries = this.#getWarmupEntries(storedTimes);
+    const isWarmup = idx => warmupEntries.has(storedTimes[idx]);
+    const times = allTimes.filter((entry, idx) => !isWarmup(idx));
+
     // Compute the time taken to process all chunks between given starting step
     // and final step. If final step is not provided, compute the time taken by
     // the starting step itself. Chunks for which we don't have the info are
     // skipped.
     const getDurations = (startingStep, finalStep) => {
       finalStep = finalStep ?? startingStep;
-      return this.#times
+      return times
         .filter(t => t[finalStep]?.end && t[startingStep]?.start)
         .map(t => t[finalStep].end - t[startingStep].start);
     }
 
-    // Compute count, min, max, avg, median of the provided array of durations
-    const computeStats = durations => {
-      durations = durations.slice().sort();
-      const count = durations.length;
-      const sum = durations.reduce((sum, duration) => sum + duration, 0);
-      const half = count >> 1;
-      const median = Math.round(count % 2 === 1 ? durations[half] : (durations[half - 1] + durations[half]) / 2);
+    // Compute the median of an array of durations sorted in ascending order
+    const computeMedian = sortedDurations => {
+      const half = sortedDurations.length >> 1;
+      return Math.round(sortedDurations.length % 2 === 1 ?
+        sortedDurations[half] :
+        (sortedDurations[half - 1] + sortedDurations[half]) / 2);
+    }
+
+    // Compute a percentile of an array of durations sorted in ascending order,
+    // using linear interpolation between closest ranks
+    const computePercentile = (sortedDurations, p) => {
+      const rank = (p / 100) * (sortedDurations.length - 1);
+      const lower = Math.floor(rank);
+      const upper = Math.ceil(rank);
+      return sortedDurations[lower] +
+        (sortedDurations[upper] - sortedDurations[lower]) * (rank - lower);
+    }
+
+    // Compute count, min, max, avg, median, percentiles, standard deviation
+    // and histogram of the provided array of durations. When a running
+    // aggregate of dropped entries is given, count, min, max, avg and standard
+    // deviation also cover the durations in the aggregate.
+    const computeStats = (durations, aggregate) => {
+      durations = durations.slice().sort((d1, d2) => d1 - d2);
+
+      // Set outliers aside, running aggregates cannot be used in that case
+      let outliers = null;
+      if (this.#outliers === 'iqr' && durations.length >= 4) {
+        const q1 = computePercentile(durations, 25);
+        const q3 = computePercentile(durations, 75);
+        const low = q1 - this.#outlierFactor * (q3 - q1);
+        const high = q3 + this.#outlierFactor * (q3 - q1);
+        const outlierDurations = durations.filter(d => d < low || d > high);
+        durations = durations.filter(d => d >= low && d <= high);
+        aggregate = null;
+        outliers = {
+          count: outlierDurations.length,
+          low: Math.round(low),
+          high: Math.round(high),
+          min: outlierDurations.length > 0 ? Math.round(outlierDurations[0]) : null,
+          max: outlierDurations.length > 0 ? Math.round(outlierDurations[outlierDurations.length - 1]) : null
+        };
+      }
+
+      const sampleCount = durations.length;
+      let count = sampleCount;
+      let min = durations[0];
+      let max = durations[sampleCount - 1];
+      let avg = durations.reduce((sum, duration) => sum + duration, 0) / count;
+      let variance = durations.reduce((total, duration) =>
+        total + (duration - avg) * (duration - avg), 0) / count;
+      if (aggregate?.count > 0) {
+        const sum = durations.reduce((total, duration) => total + duration,
+          aggregate.sum);
+        const sumOfSquares = durations.reduce((total, duration) =>
+          total + duration * duration, aggregate.sumOfSquares);
+        count = aggregate.count + sampleCount;
+        min = sampleCount > 0 ? Math.min(aggregate.min, min) : aggregate.min;
+        max = sampleCount > 0 ? Math.max(aggregate.max, max) : aggregate.max;
+        avg = sum / count;
+        variance = Math.max(sumOfSquares / count - avg * avg, 0);
+      }
+      const median = computeMedian(durations);
+
+      const percentile = p => Math.round(computePercentile(durations, p));
+
+      // Buckets of equal width between min and max. The max duration goes to
+      // the last bucket.
+      const nbBuckets = sampleCount > 0 ? this.#histogramBuckets : 0;
+      const bucketWidth = (max - min) / nbBuckets || 1;
+      const histogram = [];
+      for (let i = 0; i < nbBuckets; i++) {
+        histogram.push({
+          from: min + i * bucketWidth,
+          to: min + (i + 1) * bucketWidth,
+          count: 0
+        });
+      }
+      for (const duration of durations) {
+        const idx = Math.max(0, Math.min(
+          Math.floor((duration - min) / bucketWidth), nbBuckets - 1));
+        histogram[idx].count++;
+      }
+
       return {
         count,
-        min: Math.round(Math.min(...durations)),
-        max: Math.round(Math.max(...durations)),
-        avg: Math.round(sum / count),
-        median
+        sampleCount,
+        min: Math.round(min),
+        max: Math.round(max),
+        avg: Math.round(avg),
+        median,
+        p75: percentile(75),
+        p90: percentile(90),
+        p95: percentile(95),
+        p99: percentile(99),
+        stddev: Math.round(Math.sqrt(variance)),
+        mean: avg,
+        variance,
+        histogram,
+        outliers
       };
     }
 
-    // Compute the time spent in between processing steps for the given chunk.
+    // Return the list of processing steps of the given chunk, sorted in
+    // processing order, as objects with "step", "start" and "end" properties.
     // Return null if we don't have all start/end times. Skip steps that took
     // place after the final step (display is typically not included in
     // "processing" time)
-    const computeQueuedDuration = stat => {
+    const getProcessingSteps = stat => {
       const finalTime = this.#finalStep ? stat[this.#finalStep]?.start : null;
-      const times = Object.values(stat)
+      const times = Object.entries(stat)
+        .filter(([step, time]) => step !== this.#chunkIdProperty)
+        .map(([step, time]) => Object.assign({ step }, time))
         .filter(time => !finalTime || time.start <= finalTime)
         .sort((time1, time2) => {
           const diff = time1.start - time2.start;
@@ -145,56 +890,258 @@ class StepTimesDB {
       if (times.find(t => !t.start || !t.end)) {
         return null;
       }
+      return times;
+    }
+
+    // Compute the time spent in between processing steps for the given chunk.
+    // Return null if we don't have all start/end times.
+    const computeQueuedDuration = stat => {
+      const times = getProcessingSteps(stat);
+      if (!times) {
+        return null;
+      }
       return times.slice(0, -1)
         .map((time, idx) => times[idx + 1].start - time.end)
         .reduce((curr, total) => total += curr, 0);
     }
 
-    // Compute a list of processing steps
-    const steps = new Set();
-    for (const stat of this.#times) {
-      Object.keys(stat)
+    // Compute the time spent in between each pair of consecutive processing
+    // steps (a "hop"). Hops are named after the steps they connect, e.g.
+    // "input→toRGBX", and returned in processing order, determined by the
+    // average position of the hop in the chunks' lists of processing steps.
+    const computeHopDurations = () => {
+      const hops = {};
+      for (const entry of times) {
+        const processingSteps = getProcessingSteps(entry);
+        if (!processingSteps) {
+          continue;
+        }
+        processingSteps.slice(0, -1).forEach((time, idx) => {
+          const next = processingSteps[idx + 1];
+          const name = `${time.step}→${next.step}`;
+          hops[name] = hops[name] ?? { from: time.step, to: next.step, durations: [], position: 0 };
+          hops[name].durations.push(next.start - time.end);
+          hops[name].position += idx;
+        });
+      }
+      return Object.entries(hops)
+        .sort(([name1, hop1], [name2, hop2]) =>
+          hop1.position / hop1.durations.length -
+          hop2.position / hop2.durations.length);
+    }
+
+    // Compute the list of processing steps, ordered by observed start time,
+    // i.e. by the average time at which chunks reached the step, relative to
+    // the time at which they reached the initial step (or their first step if
+    // the initial step is not known).
+    const offsets = {};
+    for (const stat of times) {
+      const stepNames = Object.keys(stat)
         .filter(step => step !== this.#chunkIdProperty)
-        .forEach(step => steps.add(step));
+        .filter(step => !this.#excludeSteps.includes(step));
+      const origin = this.#initialStep ?
+        stat[this.#initialStep]?.start :
+        Math.min(...stepNames.map(step => stat[step]?.start ?? Infinity));
+      for (const step of stepNames) {
+        offsets[step] = offsets[step] ?? { sum: 0, count: 0 };
+        if (origin && stat[step]?.start) {
+          offsets[step].sum += stat[step].start - origin;
+          offsets[step].count++;
+        }
+      }
     }
+    const getOffset = step => offsets[step].count > 0 ?
+      offsets[step].sum / offsets[step].count :
+      Infinity;
+    const steps = Object.keys(offsets)
+      .sort((step1, step2) => getOffset(step1) - getOffset(step2) || 0);
 
-    // If we have the start time of a step but not its end time, we'll assume
-    // that it lasted until the beginning of the same step for the next chunk
-    // (typically useful for display: we know when a frame is expected to be
-    // displayed, and we know it remains on display until the next frame gets
-    // displayed).
-    // TODO: the copy and sort is a bit heavy, should be done only when needed.
-    for (const step of steps) {
-      const times = this.#times.slice();
-      times
-        .sort((t1, t2) => t1[step]?.start - t2[step]?.start)
-        .forEach((entry, index) => {
-          if (entry[step]?.start && !entry[step].end) {
-            let nextIndex = index + 1;
-            let next = times[nextIndex];
-            while (next) {
-              if (next[step]?.start) {
-                entry[step].end = next[step].start;
-                break;
-              }
-              nextIndex++;
-              next = times[nextIndex];
-            }
+    // Step groups that have at least one member step
+    const groups = Object.entries(this.#stepGroups)
+      .filter(([group, members]) => members.find(step => steps.includes(step)));
+
+    // Compute the total duration of the steps in the group for the given
+    // chunk. Return null if the chunk did not go through any of these steps.
+    const getGroupDuration = (entry, members) => {
+      const stepTimes = members
+        .filter(step => entry[step]?.start && entry[step]?.end)
+        .map(step => entry[step]);
+      if (stepTimes.length === 0) {
+        return null;
+      }
+      return stepTimes.reduce((total, time) => total + time.end - time.start, 0);
+    }
+
+    // Split the run into buckets of equal duration and compute the number of
+    // chunks that started each step in each bucket, along with the median
+    // duration of the step for these chunks.
+    const computeTimeSeries = () => {
+      const interval = this.#timeSeriesInterval;
+      const series = { interval, start: null, buckets: [] };
+      const samples = [];
+      for (const entry of allTimes) {
+        for (const step of steps) {
+          if (entry[step]?.start) {
+            samples.push({
+              step,
+              start: entry[step].start,
+              duration: entry[step].end ? entry[step].end - entry[step].start : null
+            });
+          }
+        }
+        if (this.#initialStep && this.#finalStep &&
+            entry[this.#initialStep]?.start && entry[this.#finalStep]?.end) {
+          samples.push({
+            step: 'end2end',
+            start: entry[this.#initialStep].start,
+            duration: entry[this.#finalStep].end - entry[this.#initialStep].start,
+            uncounted: true
+          });
+        }
+      }
+      if (samples.length === 0) {
+        return series;
+      }
+
+      series.start = samples.reduce((min, sample) => Math.min(min, sample.start), Infinity);
+      const durations = [];
+      for (const sample of samples) {
+        const idx = Math.floor((sample.start - series.start) / interval);
+        while (series.buckets.length <= idx) {
+          series.buckets.push({
+            time: series.buckets.length * interval,
+            counts: {},
+            medians: {}
+          });
+          durations.push({});
+        }
+        if (!sample.uncounted) {
+          series.buckets[idx].counts[sample.step] =
+            (series.buckets[idx].counts[sample.step] ?? 0) + 1;
+        }
+        if (sample.duration !== null) {
+          durations[idx][sample.step] = durations[idx][sample.step] ?? [];
+          durations[idx][sample.step].push(sample.duration);
+        }
+      }
+      series.buckets.forEach((bucket, idx) => {
+        for (const [step, stepDurations] of Object.entries(durations[idx])) {
+          bucket.medians[step] = computeMedian(stepDurations.sort((d1, d2) => d1 - d2));
+        }
+      });
+      return series;
+    }
+
+    // Match chunks seen at the initial step against displayed chunks
+    const computeDelivery = () => {
+      const initialStep = this.#initialStep;
+      const displayStep = this.#displayStep;
+      const produced = times.filter(entry => entry[initialStep]?.start);
+      const displays = times
+        .filter(entry => entry[displayStep]?.start)
+        .sort((t1, t2) => t1[displayStep].start - t2[displayStep].start);
+      const displayed = displays.filter(entry => entry[initialStep]?.start);
+
+      // Chunks produced after the last displayed chunk may still be in the
+      // pipeline, they are not counted as dropped
+      const lastDisplayedStart = displayed.reduce((max, entry) =>
+        Math.max(max, entry[initialStep].start), -Infinity);
+      const notDisplayed = produced.filter(entry => !entry[displayStep]?.start);
+      const inFlight = notDisplayed.filter(entry =>
+        entry[initialStep].start > lastDisplayedStart).length;
+
+      let outOfOrder = 0;
+      let latestStart = -Infinity;
+      for (const entry of displayed) {
+        if (entry[initialStep].start < latestStart) {
+          outOfOrder++;
+        }
+        else {
+          latestStart = entry[initialStep].start;
+        }
+      }
+
+      // (freezes cannot be measured from sampled displays)
+      let longestFreeze = null;
+      if (!this.#sampler) {
+        displays.slice(0, -1).forEach((entry, idx) => {
+          const duration = displays[idx + 1][displayStep].start - entry[displayStep].start;
+          if (!longestFreeze || duration > longestFreeze.duration) {
+            longestFreeze = {
+              id: entry[this.#chunkIdProperty],
+              start: entry[displayStep].start,
+              duration
+            };
           }
         });
+      }
+      if (longestFreeze) {
+        longestFreeze.duration = Math.round(longestFreeze.duration);
+      }
+
+      const sequences = new Set(displays
+        .map(entry => entry[displayStep].sequence)
+        .filter(sequence => typeof sequence === 'number'));
+      let sequenceGaps = null;
+      if (sequences.size > 0 && !this.#sampler) {
+        let min = Infinity;
+        let max = -Infinity;
+        for (const sequence of sequences) {
+          min = Math.min(min, sequence);
+          max = Math.max(max, sequence);
+        }
+        sequenceGaps = max - min + 1 - sequences.size;
+      }
+
+      return {
+        produced: produced.length,
+        displayed: displayed.length,
+        dropped: notDisplayed.length - inFlight,
+        inFlight,
+        duplicated: this.#duplicates[displayStep]?.size ?? 0,
+        collisions: this.#collisions[displayStep]?.size ?? 0,
+        outOfOrder,
+        unidentified: displays.length - displayed.length,
+        undecodable: displays.filter(entry => entry[displayStep].undecodable).length,
+        corrected: displays.filter(entry => entry[displayStep].corrected).length,
+        stale: displays.filter(entry => entry[displayStep].stale).length,
+        sequenceGaps,
+        longestFreeze
+      };
     }
 
     const res = {
-      all: this.#times,
-      durations: this.#times.map(entry => {
+      config: this.#config,
+      filtering: {
+        warmupFrames: this.#warmupFrames,
+        warmupDuration: this.#warmupDuration,
+        warmupChunks: allTimes.length - times.length,
+        outliers: this.#outliers,
+        outlierFactor: this.#outlierFactor,
+        sampling: this.#sampler?.options ?? null,
+        samplingFraction: this.#sampler?.fraction ?? 1
+      },
+      all: storedTimes,
+      durations: allTimes.map((entry, idx) => {
         const durations = { id: entry[this.#chunkIdProperty] };
+        if (isWarmup(idx)) {
+          durations.warmup = true;
+        }
+        // (null when the chunk did not go through the step)
         for (const step of steps) {
           durations[step] = entry[step]?.start && entry[step]?.end ?
-            Math.round(entry[step].end - entry[step].start) : 0;
+            Math.round(entry[step].end - entry[step].start) : null;
+        }
+        for (const [group, members] of groups) {
+          const duration = getGroupDuration(entry, members);
+          durations[group] = duration === null ? null : Math.round(duration);
         }
         durations.queued = computeQueuedDuration(entry);
         if (this.#initialStep && this.#finalStep) {
-          durations.end2end = Math.round(entry[this.#finalStep]?.end - entry[this.#initialStep]?.start);
+          durations.end2end =
+            entry[this.#initialStep]?.start && entry[this.#finalStep]?.end ?
+            Math.round(entry[this.#finalStep].end - entry[this.#initialStep].start) :
+            null;
         }
         return durations;
       }),
@@ -202,14 +1149,242 @@ class StepTimesDB {
     };
 
     for (const step of steps) {
-      res.stats[step] = computeStats(getDurations(step));
+      res.stats[step] = computeStats(getDurations(step),
+        inferredSteps.has(step) ? null : this.#aggregates[step]);
     }
-    const queuedDurations = this.#times.map(computeQueuedDuration).filter(s => !!s);
+    for (const [group, members] of groups) {
+      res.stats[group] = computeStats(times
+        .map(entry => getGroupDuration(entry, members))
+        .filter(duration => duration !== null));
+    }
+
+    // Ordered list of steps, each group following its last member step
+    res.steps = steps.slice();
+    for (const [group, members] of groups) {
+      const lastIndex = Math.max(...members.map(step => res.steps.indexOf(step)));
+      res.steps.splice(lastIndex + 1, 0, group);
+    }
+    const queuedDurations = times.map(computeQueuedDuration).filter(s => !!s);
     res.stats.queued = computeStats(queuedDurations);
     if (this.#initialStep && this.#finalStep) {
-      res.stats.end2end = computeStats(getDurations(this.#initialStep, this.#finalStep));
+      res.stats.end2end = computeStats(
+        getDurations(this.#initialStep, this.#finalStep),
+        this.#aggregates.end2end);
+    }
+    res.timeSeries = computeTimeSeries();
+    if (this.#initialStep && this.#displayStep) {
+      res.delivery = computeDelivery();
+    }
+
+    // Summary of stream queues samples per step
+    const summarizeSamples = samples => {
+      if (samples.length === 0) {
+        return null;
+      }
+      const sum = samples.reduce((total, sample) => total + sample, 0);
+      return {
+        avg: Math.round(sum / samples.length * 10) / 10,
+        max: samples.reduce((max, sample) => Math.max(max, sample), -Infinity)
+      };
+    }
+    res.pressure = {};
+    for (const step of steps) {
+      // Sources and sinks only sample one side of the stream
+      // (queue sizes are null when they could not be sampled)
+      const getSamples = property => times
+        .filter(entry => typeof entry[step]?.[property] === 'number')
+        .map(entry => entry[step][property]);
+      const writableQueue = getSamples('writableQueue');
+      const readableQueue = getSamples('readableQueue');
+      const backpressureWait = getSamples('backpressureWait');
+      if (writableQueue.length + readableQueue.length + backpressureWait.length === 0) {
+        continue;
+      }
+      res.pressure[step] = {
+        writableQueue: summarizeSamples(writableQueue),
+        readableQueue: summarizeSamples(readableQueue),
+        backpressureWait: computeStats(backpressureWait)
+      };
+    }
+
+    // Per-hop queue waits, and bottleneck summary that names the hop and the
+    // processing step that add the most latency on average
+    res.hops = {};
+    for (const [name, hop] of computeHopDurations()) {
+      res.hops[name] = Object.assign(
+        { from: hop.from, to: hop.to },
+        computeStats(hop.durations));
+    }
+    const findSlowest = (names, stats) => names
+      .filter(name => stats[name]?.count > 0)
+      .reduce((slowest, name) =>
+        (!slowest || stats[name].avg > slowest.avg) ?
+          { name, avg: stats[name].avg } :
+          slowest,
+        null);
+    const hopSteps = new Set(Object.values(res.hops)
+      .map(hop => [hop.from, hop.to]).flat());
+    res.bottleneck = {
+      hop: findSlowest(Object.keys(res.hops), res.hops),
+      step: findSlowest([...hopSteps], res.stats)
+    };
+
+    // Per-step accounting, durations rounded
+    res.accounting = {};
+    for (const [step, info] of Object.entries(this.#stepInfo)) {
+      if (this.#excludeSteps.includes(step)) {
+        continue;
+      }
+      res.accounting[step] = Object.assign({}, info, {
+        start: (info.start === null) ? null : Math.round(info.start),
+        flush: (info.flush === null) ? null : Math.round(info.flush)
+      });
+    }
+
+    // Clock estimates, rounded to the microsecond (and to 0.1ppm for drifts)
+    res.clocks = {};
+    for (const [context, clock] of Object.entries(this.#clocks)) {
+      res.clocks[context] = Object.assign({}, clock, {
+        offset: Math.round(clock.offset * 1000) / 1000,
+        drift: Math.round(clock.drift * 10) / 10,
+        uncertainty: Math.round(clock.uncertainty * 1000) / 1000,
+        rtt: Math.round(clock.rtt * 1000) / 1000
+      });
     }
 
     return res;
   }
+
+  /**
+   * Export the report as a JSON string. The export contains the options
+   * passed to the constructor, the run configuration, running aggregates of
+   * dropped entries, raw entries, per-chunk durations and aggregated stats.
+   */
+  exportJSON() {
+    const report = this.computeStats();
+    return JSON.stringify({
+      format: StepTimesDB.EXPORT_FORMAT,
+      version: StepTimesDB.EXPORT_VERSION,
+      exported: new Date().toISOString(),
+      options: {
+        chunkIdProperty: this.#chunkIdProperty,
+        initialStep: this.#initialStep,
+        finalStep: this.#finalStep,
+        displayStep: this.#displayStep,
+        excludeSteps: this.#excludeSteps,
+        stepGroups: this.#stepGroups,
+        endInference: this.#endInference,
+        defaultEndInference: this.#defaultEndInference,
+        warmupFrames: this.#warmupFrames,
+        warmupDuration: this.#warmupDuration,
+        outliers: this.#outliers,
+        outlierFactor: this.#outlierFactor,
+        histogramBuckets: this.#histogramBuckets,
+        timeSeriesInterval: this.#timeSeriesInterval,
+        maxEntries: Number.isFinite(this.#maxEntries) ? this.#maxEntries : null,
+        sampling: this.#sampler?.options ?? null
+      },
+      config: report.config,
+      filtering: report.filtering,
+      aggregates: this.#aggregates,
+      droppedChunks: this.#nbDroppedChunks,
+      runStart: this.#runStart,
+      duplicates: Object.fromEntries(Object.entries(this.#duplicates)
+        .map(([step, ids]) => [step, Array.from(ids)])),
+      collisions: Object.fromEntries(Object.entries(this.#collisions)
+        .map(([step, ids]) => [step, Array.from(ids)])),
+      stepInfo: this.#stepInfo,
+      clocks: this.#clocks,
+      all: report.all,
+      durations: report.durations,
+      steps: report.steps,
+      stats: report.stats,
+      hops: report.hops,
+      pressure: report.pressure,
+      accounting: report.accounting,
+      bottleneck: report.bottleneck,
+      delivery: report.delivery,
+      timeSeries: report.timeSeries
+    }, null, 2);
+  }
+
+  /**
+   * Export per-chunk durations as CSV, with one row per chunk and one column
+   * per step (durations in milliseconds). Missing values are left empty.
+   */
+  exportCSV() {
+    const report = this.computeStats();
+    const escape = value => {
+      if (value === null || value === undefined || Number.isNaN(value)) {
+        return '';
+      }
+      const str = String(value);
+      return /[",\n]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+    };
+    const columns = ['id'];
+    for (const durations of report.durations) {
+      for (const column of Object.keys(durations)) {
+        if (!columns.includes(column)) {
+          columns.push(column);
+        }
+      }
+    }
+    const rows = report.durations.map(durations =>
+      columns.map(column => escape(durations[column])).join(','));
+    return [columns.map(escape).join(',')].concat(rows).join('\n') + '\n';
+  }
+
+  /**
+   * Create a new db from a JSON export. The db is created with the options
+   * recorded in the export and contains the exported raw entries.
+   *
+   * Throws if the JSON is not a report export or if its version is not
+   * supported. Version 1 exports are supported, but their running aggregates,
+   * which also covered retained entries, are ignored: stats of imported
+   * version 1 exports only cover retained entries.
+   */
+  static importJSON(json) {
+    const data = (typeof json === 'string') ? JSON.parse(json) : json;
+    if (data?.format !== StepTimesDB.EXPORT_FORMAT) {
+      throw new Error('Not a StepTimesDB report export');
+    }
+    if (data.version !== StepTimesDB.EXPORT_VERSION && data.version !== 1) {
+      throw new Error(`Unsupported StepTimesDB report export version ${data.version}`);
+    }
+    const timesDB = new StepTimesDB(Object.assign({}, data.options, {
+      config: data.config
+    }));
+    // (colliding entries need to be known before entries get sampled)
+    for (const [step, ids] of Object.entries(data.collisions ?? {})) {
+      if (Array.isArray(ids)) {
+        timesDB.#collisions[step] = new Set(ids);
+      }
+    }
+    timesDB.addEntries(data.all ?? []);
+
+    // Running aggregates in the export cover entries that were no longer
+    // retained when the report was exported
+    if (data.aggregates && data.version === StepTimesDB.EXPORT_VERSION) {
+      timesDB.#aggregates = data.aggregates;
+    }
+    if (data.droppedChunks) {
+      timesDB.#nbDroppedChunks = data.droppedChunks;
+    }
+    if (data.runStart) {
+      timesDB.#runStart = Math.min(timesDB.#runStart ?? data.runStart, data.runStart);
+    }
+    // (version 1 exports only have the number of duplicate records)
+    for (const [step, ids] of Object.entries(data.duplicates ?? {})) {
+      if (Array.isArray(ids)) {
+        timesDB.#duplicates[step] = new Set(ids);
+      }
+    }
+    if (data.stepInfo) {
+      timesDB.#stepInfo = data.stepInfo;
+    }
+    if (data.clocks) {
+      timesDB.#clocks = data.clocks;
+    }
+    return timesDB;
+  }
 }
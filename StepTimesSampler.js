@@ -0,0 +1,78 @@
+/**
+ * Decides which chunks get instrumented when instrumentation runs in sampling
+ * mode, to reduce the cost of per-chunk bookkeeping at high frame rates.
+ *
+ * The decision only depends on the chunk identifier, so that the same chunks
+ * get sampled in all workers (and in StepTimesDB) without having to exchange
+ * messages. Chunk identifiers are hashed with a seed, and a chunk is sampled
+ * when the hash, scaled to [0, 1), is below the requested fraction. Chunk
+ * identifiers (e.g. timestamps) are not necessarily consecutive numbers, so
+ * there is no way to sample exactly every Nth chunk.
+ *
+ * The seed allows different runs to sample different chunks. It must be the
+ * same in all contexts of a given run.
+ *
+ * Usage:
+ *
+ * const sampler = new StepTimesSampler({ fraction: 0.1, seed: 42 });
+ * if (sampler.isSampled(frame.timestamp)) {
+ *   // Record step times
+ * }
+ */
+
+'use strict';
+
+
+/**
+ * Deterministic sampler of chunks, based on their identifier.
+ */
+class StepTimesSampler {
+  #fraction;
+  #seed;
+
+  constructor({ fraction, seed } = {}) {
+    this.#fraction = fraction ?? null;
+    this.#seed = seed ?? 0;
+    if (typeof this.#fraction !== 'number' || this.#fraction <= 0 || this.#fraction > 1) {
+      throw new Error(`Sampling "fraction" must be in (0, 1], got ${this.#fraction}`);
+    }
+  }
+
+  /**
+   * Sampling options, as passed to the constructor
+   */
+  get options() {
+    return { fraction: this.#fraction, seed: this.#seed };
+  }
+
+  /**
+   * Expected fraction of chunks that get sampled
+   */
+  get fraction() {
+    return this.#fraction;
+  }
+
+  isSampled(chunkId) {
+    const hash = StepTimesSampler.hash(chunkId, this.#seed);
+    return hash / 2 ** 32 < this.#fraction;
+  }
+
+  /**
+   * 32-bit FNV-1a hash of the string serialization of the given value, with
+   * a final mix (from MurmurHash3) so that low bits are evenly distributed
+   */
+  static hash(value, seed = 0) {
+    const str = String(value);
+    let hash = (0x811c9dc5 ^ seed) >>> 0;
+    for (let i = 0; i < str.length; i++) {
+      hash ^= str.charCodeAt(i);
+      hash = Math.imul(hash, 0x01000193);
+    }
+    hash ^= hash >>> 16;
+    hash = Math.imul(hash, 0x85ebca6b);
+    hash ^= hash >>> 13;
+    hash = Math.imul(hash, 0xc2b2ae35);
+    hash ^= hash >>> 16;
+    return hash >>> 0;
+  }
+}
\ No newline at end of file
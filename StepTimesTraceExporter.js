@@ -0,0 +1,212 @@
+/**
+ * Converts step times recorded by instrumented streams into the Trace Event
+ * Format, which trace viewers such as Perfetto (https://ui.perfetto.dev/) or
+ * chrome://tracing can open, to visualize how processing steps overlap.
+ *
+ * Step times are grouped per process, typically one per worker (or rather per
+ * stats collector). Each step gets its own track (a "thread" in Trace Event
+ * parlance) within its process. Each step time becomes a slice on that track,
+ * and slices of the same chunk get connected through a flow, in the order in
+ * which steps started. Steps that have a start time but no end time become
+ * slices with a duration of 0.
+ *
+ * Times recorded by instrumented streams are absolute times, in milliseconds,
+ * based on `performance.timeOrigin`. Trace events use microseconds, relative
+ * to the earliest time in the trace. That earliest time is recorded in the
+ * "otherData" section of the trace.
+ *
+ * Usage:
+ *
+ * const exporter = new StepTimesTraceExporter();
+ * exporter.addEntries(mainCollector.collectStats(), 'main');
+ * exporter.addEntries(statsFromWorker, 'transform');
+ * const json = exporter.exportJSON();
+ *
+ * // The trace looks like:
+ * // {
+ * //   "traceEvents": [
+ * //     { "name": "process_name", "ph": "M", "pid": 1, "args": { "name": "main" } },
+ * //     { "name": "thread_name", "ph": "M", "pid": 1, "tid": 1, "args": { "name": "input" } },
+ * //     { "name": "input", "cat": "step", "ph": "X", "pid": 1, "tid": 1, "ts": 0, "dur": 12, "args": { "id": 0 } },
+ * //     { "name": "frame", "cat": "frame", "ph": "s", "id": 1, "pid": 1, "tid": 1, "ts": 0 },
+ * //     ...
+ * //   ],
+ * //   "displayTimeUnit": "ms",
+ * //   "otherData": { "origin": 1680000000000.5 }
+ * // }
+ */
+
+'use strict';
+
+
+/**
+ * Export step times in Trace Event Format.
+ */
+class StepTimesTraceExporter {
+  #chunkIdProperty;
+
+  /**
+   * Step times per process name, in order of addition
+   */
+  #processes = new Map();
+
+  constructor({ chunkIdProperty } = {}) {
+    this.#chunkIdProperty = chunkIdProperty ?? 'id';
+  }
+
+  /**
+   * Add step times entries (as returned by StepTimesCollector.collectStats())
+   * to the given process. Process name defaults to "main".
+   */
+  addEntries(entries, processName) {
+    processName = processName ?? 'main';
+    if (!this.#processes.has(processName)) {
+      this.#processes.set(processName, []);
+    }
+    const processEntries = this.#processes.get(processName);
+    for (const entry of entries) {
+      processEntries.push(entry);
+    }
+  }
+
+  /**
+   * Compute the list of trace events
+   */
+  computeEvents() {
+    const idProperty = this.#chunkIdProperty;
+
+    // Gather slices, one per step time
+    const slices = [];
+    let pid = 0;
+    const processes = [];
+    for (const [processName, entries] of this.#processes) {
+      pid++;
+      const threads = new Map();
+      processes.push({ pid, name: processName, threads });
+      for (const entry of entries) {
+        for (const [step, stepTimes] of Object.entries(entry)) {
+          if (step === idProperty || !stepTimes?.start) {
+            continue;
+          }
+          if (!threads.has(step)) {
+            threads.set(step, threads.size + 1);
+          }
+          slices.push({
+            pid,
+            tid: threads.get(step),
+            step,
+            id: entry[idProperty],
+            times: stepTimes
+          });
+        }
+      }
+    }
+
+    const origin = slices.reduce((min, slice) =>
+      Math.min(min, slice.times.start), Infinity);
+    const toMicroseconds = time => Math.round((time - origin) * 1000);
+
+    const events = [];
+    for (const process of processes) {
+      events.push({
+        name: 'process_name',
+        ph: 'M',
+        pid: process.pid,
+        args: { name: process.name }
+      });
+      for (const [step, tid] of process.threads) {
+        events.push({
+          name: 'thread_name',
+          ph: 'M',
+          pid: process.pid,
+          tid,
+          args: { name: step }
+        });
+        events.push({
+          name: 'thread_sort_index',
+          ph: 'M',
+          pid: process.pid,
+          tid,
+          args: { sort_index: tid }
+        });
+      }
+    }
+
+    for (const slice of slices) {
+      const args = { id: slice.id };
+      for (const [name, value] of Object.entries(slice.times)) {
+        if (name === 'start' || name === 'end') {
+          continue;
+        }
+        if (name === 'outputs') {
+          args.outputs = value.map(output => output.id);
+        }
+        else {
+          args[name] = value;
+        }
+      }
+      events.push({
+        name: slice.step,
+        cat: 'step',
+        ph: 'X',
+        pid: slice.pid,
+        tid: slice.tid,
+        ts: toMicroseconds(slice.times.start),
+        dur: slice.times.end ?
+          Math.max(0, Math.round((slice.times.end - slice.times.start) * 1000)) :
+          0,
+        args
+      });
+    }
+
+    // Connect slices of the same chunk with a flow, in processing order
+    const slicesPerChunk = new Map();
+    for (const slice of slices) {
+      if (!slicesPerChunk.has(slice.id)) {
+        slicesPerChunk.set(slice.id, []);
+      }
+      slicesPerChunk.get(slice.id).push(slice);
+    }
+    let flowId = 0;
+    for (const chunkSlices of slicesPerChunk.values()) {
+      if (chunkSlices.length < 2) {
+        continue;
+      }
+      flowId++;
+      chunkSlices.sort((s1, s2) => s1.times.start - s2.times.start);
+      chunkSlices.forEach((slice, idx) => {
+        const event = {
+          name: 'frame',
+          cat: 'frame',
+          ph: (idx === 0) ? 's' : ((idx === chunkSlices.length - 1) ? 'f' : 't'),
+          id: flowId,
+          pid: slice.pid,
+          tid: slice.tid,
+          ts: toMicroseconds(slice.times.start),
+          args: { id: slice.id }
+        };
+        if (event.ph === 'f') {
+          event.bp = 'e';
+        }
+        events.push(event);
+      });
+    }
+
+    return { events, origin: (origin === Infinity) ? null : origin };
+  }
+
+  /**
+   * Serialize the trace as a JSON string in Trace Event Format
+   */
+  exportJSON() {
+    const { events, origin } = this.computeEvents();
+    return JSON.stringify({
+      traceEvents: events,
+      displayTimeUnit: 'ms',
+      otherData: {
+        origin,
+        exported: new Date().toISOString()
+      }
+    });
+  }
+}
\ No newline at end of file
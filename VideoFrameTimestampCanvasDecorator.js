@@ -0,0 +1,68 @@
+'use strict';
+
+
+/**
+ * Returns a transformer for a TransformStream that can process a stream of
+ * VideoFrames to overlay its timestamp (in milliseconds) using a color code,
+ * as VideoFrameTimestampDecorator does, but using an OffscreenCanvas with a
+ * 2D context instead of WebGPU.
+ *
+ * The overlay is the same, including the sequence number of the frame and the
+ * run id, see FrameOverlayCode (which must be loaded beforehand). The
+ * transformer is meant as a fallback when WebGPU is not available, and to
+ * compare the cost of the two approaches.
+ */
+function VideoFrameTimestampCanvasDecorator(config) {
+  const overlayCode = new FrameOverlayCode(Object.assign({},
+    config.overlayLayout, { nbColors: config.colors.length }));
+  const nbGridCells = overlayCode.columns * overlayCode.rows;
+  let sequence = 0;
+
+  // Create the canvas onto which we'll draw the frame and the overlay
+  const canvas = new OffscreenCanvas(
+    config?.width ?? 1920,
+    config?.height ?? 1080
+  );
+  const ctx = canvas.getContext('2d', { alpha: false });
+
+  return {
+    /**
+     * Draw the frame and the overlay on the canvas, and return a new
+     * VideoFrame with the result.
+     */
+    transform(frame, controller) {
+      // Adjust the size of the canvas to the size of the frame to process
+      // (resizing the canvas resets its contents, so only do that when needed)
+      if (canvas.width !== frame.displayWidth ||
+          canvas.height !== frame.displayHeight) {
+        canvas.width = frame.displayWidth;
+        canvas.height = frame.displayHeight;
+      }
+
+      // Save the frame's timestamp
+      const timestamp = frame.timestamp;
+
+      // Draw the frame, then fill each cell of the overlay with the color of
+      // its digit. Remaining cells in the grid get the first color, as with
+      // the WebGPU version.
+      ctx.drawImage(frame, 0, 0, canvas.width, canvas.height);
+      frame.close();
+      const digits = overlayCode.encode(timestamp, {
+        sequence: sequence++,
+        runId: config.runId
+      });
+      for (let idx = 0; idx < nbGridCells; idx++) {
+        const rect = overlayCode.getCellRect(idx, canvas.width, canvas.height);
+        ctx.fillStyle = config.colors[digits[idx] ?? 0];
+        ctx.fillRect(rect.x, rect.y, rect.width, rect.height);
+      }
+
+      // Create and enqueue a VideoFrame out of the canvas
+      const processedFrame = new VideoFrame(canvas, {
+        timestamp: timestamp,
+        alpha: 'discard'
+      });
+      controller.enqueue(processedFrame);
+    }
+  };
+}
\ No newline at end of file
@@ -6,9 +6,23 @@
  * VideoFrames to overlay its timestamp (in milliseconds) using a color code in
  * the bottom right corner of the frame.
  *
+ * The overlay is a grid of color cells that encode the timestamp along with
+ * check digits, see FrameOverlayCode (which must be loaded beforehand). Its
+ * position, size and number of digits can be set through the "overlayLayout"
+ * property of the config, which gets passed to FrameOverlayCode.
+ *
+ * The overlay also encodes the sequence number of the frame, starting at 0
+ * for the first frame that the transformer processes, and the "runId"
+ * property of the config.
+ *
  * The transformer uses WebGPU to create the overlay.
  */
 function VideoFrameTimestampDecorator(config) {
+  const overlayCode = new FrameOverlayCode(Object.assign({},
+    config.overlayLayout, { nbColors: config.colors.length }));
+  const overlayRect = overlayCode.rect;
+  let sequence = 0;
+
   // Helper function to convert an hexadecimal color into 4 color components
   // (note GPUs love float numbers between 0.0 and 1.0, including for colors)
   function rgbToBytes(rgb) {
@@ -70,20 +84,23 @@ function VideoFrameTimestampDecorator(config) {
    * Receives the uv coordinates of the pixel to render as parameter.
    * Expects a sampler, used to get pixels out of a texture, an external texture
    * that represents the frame to draw, and a parameters structure with the
-   * timestamp to render as overlay, along with the colors to use, to be set in
-   * what GPU specs call a binding group.
+   * digits to render as overlay (one per cell, computed by FrameOverlayCode),
+   * along with the colors to use, to be set in what GPU specs call a binding
+   * group.
    * The parameters structure is a "uniform" because the variable is to hold
    * the same value for all calls of the fragment shader.
    * 
    * The shader returns the color of the pixel to render, which is either the
-   * color of the corresponding pixel in the video frame, or a color that
-   * encodes one of the digits of the frame's timestamp (in base "number of
-   * colors") when the pixel is in the bottom right corner of the canvas.
+   * color of the corresponding pixel in the video frame, or the color of the
+   * digit of the cell that contains the pixel when the pixel is in the
+   * overlay.
+   *
+   * The position and size of the overlay, and the layout of cells, do not
+   * change during a run. They are written in the source of the shader.
    */
   const fragmentShaderSource = `
     struct Params {
-      timestamp: f32,
-      nbColors: f32,
+      digits: array<vec4<u32>,${FrameOverlayCode.MAX_CELLS / 4}>,
       colors: array<vec4<f32>,64>
     }
 
@@ -91,42 +108,27 @@ function VideoFrameTimestampDecorator(config) {
     @group(0) @binding(1) var myTexture: texture_external;
     @group(0) @binding(2) var<uniform> params: Params;
 
-    // Helper function that converts a timestamp to 4 digits representing the
-    // timestamp in milliseconds in the given base
-    fn nbToDigits(nb: f32, base: f32) -> vec4<u32> {
-      let ms = nb / 1000;
-      let first: u32 = u32(ms % base);
-      let firstremainder: f32 = ms / base;
-      let second: u32 = u32(firstremainder % base);
-      let secondremainder: f32 = firstremainder / base;
-      let third: u32 = u32(secondremainder % base);
-      let thirdremainder: f32 = secondremainder / base;
-      let fourth: u32 = u32(thirdremainder % base);
-      return vec4<u32>(fourth, third, second, first);
-    }
+    const overlayStart = vec2<f32>(${overlayRect.x}, ${overlayRect.y});
+    const overlaySize = vec2<f32>(${overlayRect.width}, ${overlayRect.height});
+    const columns: f32 = ${overlayCode.columns}.0;
+    const rows: f32 = ${overlayCode.rows}.0;
 
-    // Helper function that returns the color representing the digit
-    // (in base "number of colors") of the timestamp at the given
-    // index (from 0 to 3).
-    fn timestampToColor(ts: f32, index: u32) -> vec4<f32> {
-      let digits: vec4<u32> = nbToDigits(ts, params.nbColors);
-      let digit: u32 = digits[index];
+    // Helper function that returns the color of the cell at the given index,
+    // cells being numbered from left to right and top to bottom.
+    fn cellToColor(index: u32) -> vec4<f32> {
+      let digit: u32 = params.digits[index / 4][index % 4];
       let color: vec4<f32> = params.colors[digit];
       return vec4<f32>(color[0], color[1], color[2], 1.0);
     }
 
     // The main function of the fragment shader
-    // TODO: It would be much smarter to compute the colors from the timestamp
-    // once and for all, instead of running the same computation ~250 000 times
-    // per frame (Alternatively, this could be done in the vertex shader and
-    // passed as parameter to the fragment shader).
     @fragment
     fn frag_main(@location(0) uv : vec2<f32>) -> @location(0) vec4<f32> {
-      if (uv.x > 0.75 && uv.y > 0.75) {
-        let xcomp: f32 = (1 + sign(uv.x - 0.875)) / 2;
-        let ycomp: f32 = (1 + sign(uv.y - 0.875)) / 2;
-        let idx: u32 = u32(sign(xcomp) + 2 * sign(ycomp));
-        return timestampToColor(params.timestamp, idx);
+      let pos: vec2<f32> = (uv - overlayStart) / overlaySize;
+      if (pos.x >= 0.0 && pos.x < 1.0 && pos.y >= 0.0 && pos.y < 1.0) {
+        let column: u32 = u32(min(floor(pos.x * columns), columns - 1));
+        let row: u32 = u32(min(floor(pos.y * rows), rows - 1));
+        return cellToColor(row * u32(columns) + column);
       }
       else {
         return textureSampleBaseClampToEdge(myTexture, mySampler, uv);
@@ -234,12 +236,12 @@ function VideoFrameTimestampDecorator(config) {
      * To process the new frame, parameters need to be sent to the GPU through
      * a GPUBuffer. That is easier said than done. As apparently everyone
      * should know, the offset of a struct member of type
-     * "array<vec4<u32>, 64>" in address space "uniform" must be a multiple of
-     * 16 bytes. The first two parameters in the structure take only 8 bytes,
-     * so we need to leave 8 additional bytes before we can send the colors.
-     * No error would be raised if we fail to do that (except if GPUBuffer
-     * size is not large enough) but colors wouldn't be the right ones, since
-     * RGBA components would be shifted by 2.
+     * "array<vec4<f32>, 64>" in address space "uniform" must be a multiple of
+     * 16 bytes. Digits are sent as an array of vec4<u32> for the same reason,
+     * in other words 16 unsigned integers (64 bytes), of which only the first
+     * ones are used (others remain 0). No error would be raised if we fail to
+     * do that (except if GPUBuffer size is not large enough) but colors
+     * wouldn't be the right ones, since RGBA components would be shifted.
      */
     transform(frame, controller) {
       // Adjust the size of the canvas to the size of the frame to process
@@ -252,19 +254,21 @@ function VideoFrameTimestampDecorator(config) {
       const timestamp = frame.timestamp;
 
       // Prepare the GPUBuffer that will contain the parameters sent to the
-      // GPU (note the additional 8 bytes, and the offset at which colorBytes
-      // gets written).
-      // Note we can only encode reasonable numbers so timestamp gets
-      // converted to milliseconds.
+      // GPU (note the offset at which colorBytes gets written).
+      // Digits encode the timestamp in milliseconds, the sequence number and
+      // the run id, along with check digits.
+      const maxCells = FrameOverlayCode.MAX_CELLS;
       const paramsBuffer = gpuDevice.createBuffer({
-        size: 2 * 4 + 8 + 64 * 4 * 4,
+        size: maxCells * 4 + 64 * 4 * 4,
         usage: GPUBufferUsage.UNIFORM | GPUBufferUsage.COPY_DST,
         mappedAtCreation: true
       });
-      const map = new Float32Array(paramsBuffer.getMappedRange());
-      map[0] = timestamp;
-      map[1] = config.colors.length;
-      map.set(colorBytes, 4);
+      const mappedRange = paramsBuffer.getMappedRange();
+      new Uint32Array(mappedRange, 0, maxCells).set(overlayCode.encode(timestamp, {
+        sequence: sequence++,
+        runId: config.runId
+      }));
+      new Float32Array(mappedRange).set(colorBytes, maxCells);
       paramsBuffer.unmap();
 
       // Create the binding group with the sample, the texture and the params
@@ -9,6 +9,9 @@
 // For additional context, see https://github.com/whatwg/streams/issues/1187
 const framesToClose = {};
 
+// Step times of the instrumented streams that run on the main thread
+const mainCollector = new StepTimesCollector('main');
+
 
 /**
  * Possible video resolutions
@@ -24,8 +27,8 @@ const resolutions = {
 
 
 /**
- * A set of colors used to encode the frame's timestamp in an overlay, and
- * companion function to decode a timestamp from a set of pixels.
+ * A set of colors used to encode the frame's timestamp in an overlay (see
+ * FrameOverlayCode and FrameOverlayDecoder).
  */
 const colors = [
   '#000000',
@@ -41,31 +44,47 @@ const colors = [
   '#505050', '#5050A0', '#5050F0',
   '#A05050', '#A050A0', '#A050F0'
 ];
-const colorBytes = colors.map(rgbToBytes);
-
-function rgbToBytes(rgb) {
-  return [
-    parseInt(rgb.slice(1,3), 16),
-    parseInt(rgb.slice(3,5), 16),
-    parseInt(rgb.slice(5,7), 16),
-    255
-  ];
-}
-
-function colorsToTimestamp(pixels) {
-  const digits = pixels.map(pixel =>
-    colorBytes.findIndex(c => c.every((t, i) => Math.abs(t - pixel[i]) < 32)));
-  const str = digits.map(d => d.toString(colors.length)).join('');
-  const frameIndex = parseInt(str, colors.length);
-  return frameIndex;
-}
 
 
 document.addEventListener('DOMContentLoaded', async function (event) {
   let running = false;
   let inputTrack;
-  let timesDB = new StepTimesDB({ initialStep: 'input', finalStep: 'final' });
-  let reportedStats = {};
+  // Steps that get reported together as an aggregated step
+  const stepGroups = {
+    transform: ['background', 'grey']
+  };
+
+  // A frame remains on display until the next frame gets displayed. Other
+  // steps record their own end times.
+  const endInference = {
+    display: 'next-chunk'
+  };
+
+  let timesDB = new StepTimesDB({
+    initialStep: 'input',
+    finalStep: 'final',
+    displayStep: 'display',
+    stepGroups,
+    endInference,
+    defaultEndInference: 'none'
+  });
+  // Report of the baseline run, computed once
+  let baselineReport = null;
+  let reportedStats = { collectors: {}, stepInfo: {} };
+  // Workers that stream stats during the current run, through the given
+  // ports, and interval between batches of stats (in milliseconds)
+  let statsWorkers = [];
+  let statsPorts = [];
+  const statsInterval = 1000;
+  // Clock alignment of workers with the main thread, per worker, and
+  // interval between bursts of pings (in milliseconds)
+  let clockSyncs = {};
+  const clockSyncInterval = 5000;
+  let liveStatsTimer = null;
+  // Stats get reported once all workers sent their last batch after "stop",
+  // or after a timeout (in milliseconds) if some of them never do
+  let reportTimer = null;
+  const reportTimeout = 5000;
   let rvfcHandle;
 
   const startButton = document.getElementById('start');
@@ -90,23 +109,46 @@ document.addEventListener('DOMContentLoaded', async function (event) {
     icon = await createImageBitmap(img);
   });
 
+  // Entries of workers already got merged as they arrived, only entries of
+  // the main thread that changed since the last batch remain
   function reportStats() {
-    const mainStats = InstrumentedTransformStream.collectStats();
-    timesDB.addEntries(mainStats);
-    if (reportedStats.transformWorker) {
-      timesDB.addEntries(reportedStats.transformWorker);
+    clearTimeout(reportTimer);
+    reportTimer = null;
+    const missing = statsWorkers.filter(name => !reportedStats.stepInfo[name]);
+    if (missing.length > 0) {
+      console.warn('No last batch of stats received from', missing.join(', '));
     }
-    if (reportedStats.overlayWorker) {
-      timesDB.addEntries(reportedStats.overlayWorker);
+    timesDB.addEntries(mainCollector.takeBatch());
+    reportedStats.main = mainCollector.collectStats();
+    timesDB.addStepInfo(mainCollector.collectStepInfo());
+    for (const worker of statsWorkers) {
+      timesDB.addStepInfo(reportedStats.stepInfo[worker]);
     }
+    console.log(renderReport());
+  }
+
+  function renderReport() {
     const report = timesDB.computeStats();
-    console.log(report);
-    const statsEl = document.getElementById('stats');
     const tbody = document.querySelector('#stats tbody');
     tbody.innerHTML = '';
+    const hopsTbody = document.querySelector('#hops tbody');
+    hopsTbody.innerHTML = '';
+
+    // Render the histogram as a sparkline, one character per bucket, with
+    // bucket details in a tooltip
+    function renderHistogram(histogram) {
+      const bars = ['▁', '▂', '▃', '▄', '▅', '▆', '▇', '█'];
+      const maxCount = Math.max(...histogram.map(bucket => bucket.count));
+      const sparkline = histogram
+        .map(bucket => bars[Math.round(bucket.count / maxCount * (bars.length - 1))])
+        .join('');
+      const title = histogram
+        .map(bucket => `${Math.round(bucket.from)}-${Math.round(bucket.to)}ms: ${bucket.count}`)
+        .join('\n');
+      return `<span title="${title}">${sparkline}</span>`;
+    }
 
-    function reportCounter(name) {
-      const stats = report.stats[name];
+    function reportCounter(name, stats = report.stats[name], body = tbody) {
       const res = `<tr>
         <td>${name}</td>
         <td>${stats.count}</td>
@@ -114,63 +156,482 @@ document.addEventListener('DOMContentLoaded', async function (event) {
         <td>${stats.median}</td>
         <td>${stats.min}</td>
         <td>${stats.max}</td>
+        <td>${stats.p75}</td>
+        <td>${stats.p90}</td>
+        <td>${stats.p95}</td>
+        <td>${stats.p99}</td>
+        <td>${stats.stddev}</td>
+        <td>${renderHistogram(stats.histogram)}</td>
+        <td>${stats.outliers ? stats.outliers.count : '-'}</td>
       </tr>`;
-      tbody.innerHTML += res;
-    }
-
-    const orderedCounters = [
-      'toCPU-rgbx', 'toRGBX',
-      'toCPU-transform', 'background', 'grey',
-      'toCPU-encode', 'toGPU-encode', 'encode', 'decode',
-      'outoforder', 'longer',
-      'toCPU-overlay', 'toGPU-overlay', 'overlay',
-      'display',
-      'end2end',
-      'queued'
-    ];
+      body.innerHTML += res;
+    }
+
+    // Steps come in processing order, step groups included
+    const orderedCounters = report.steps.concat(['end2end', 'queued']);
     for (const counter of orderedCounters) {
       if (report.stats[counter]?.count > 0) {
         reportCounter(counter);
       }
     }
 
+    // Report queue waits per hop, in processing order, and the bottleneck
+    for (const [name, stats] of Object.entries(report.hops)) {
+      reportCounter(name, stats, hopsTbody);
+    }
+    const filtering = report.filtering;
+    document.getElementById('filtering').textContent =
+      `${filtering.warmupChunks} warm-up frames left out of the stats` +
+      ` (first ${filtering.warmupFrames} frames and first ${filtering.warmupDuration / 1000}s).` +
+      (filtering.outliers === 'iqr' ?
+        ` Outliers set aside (${filtering.outlierFactor} x interquartile range).` :
+        '') +
+      (filtering.sampling ?
+        ` Stats computed from a sample of about ${Math.round(filtering.samplingFraction * 100)}% of frames.` :
+        '');
+
+    const bottleneck = report.bottleneck;
+    document.getElementById('bottleneck').textContent =
+      (bottleneck.hop ? `Slowest hop: ${bottleneck.hop.name} (${bottleneck.hop.avg}ms on average). ` : '') +
+      (bottleneck.step ? `Slowest step: ${bottleneck.step.name} (${bottleneck.step.avg}ms on average).` : '');
+
+    // Report where frames pile up between processing steps
+    const pressureTbody = document.querySelector('#pressure tbody');
+    pressureTbody.innerHTML = '';
+    for (const step of report.steps) {
+      const pressure = report.pressure[step];
+      if (!pressure) {
+        continue;
+      }
+      const wait = pressure.backpressureWait;
+      pressureTbody.innerHTML += `<tr>
+        <td>${step}</td>
+        <td>${pressure.writableQueue?.avg ?? '-'}</td>
+        <td>${pressure.writableQueue?.max ?? '-'}</td>
+        <td>${pressure.readableQueue?.avg ?? '-'}</td>
+        <td>${pressure.readableQueue?.max ?? '-'}</td>
+        <td>${wait.count > 0 ? wait.avg : '-'}</td>
+        <td>${wait.count > 0 ? wait.p95 : '-'}</td>
+        <td>${wait.count > 0 ? wait.max : '-'}</td>
+      </tr>`;
+    }
+
+    // Report start/flush durations and error counters per step
+    const accountingTbody = document.querySelector('#accounting tbody');
+    accountingTbody.innerHTML = '';
+    // (steps that failed early may not appear in the list of steps)
+    const accountingSteps = report.steps
+      .filter(step => report.accounting[step])
+      .concat(Object.keys(report.accounting)
+        .filter(step => !report.steps.includes(step)));
+    for (const step of accountingSteps) {
+      const info = report.accounting[step];
+      accountingTbody.innerHTML += `<tr>
+        <td>${step}</td>
+        <td>${info.start ?? '-'}</td>
+        <td>${info.flush ?? '-'}</td>
+        <td>${info.errors}</td>
+        <td>${info.rejected}</td>
+        <td>${info.dropped}</td>
+      </tr>`;
+    }
+
+    // Report clock alignment of workers
+    const clocksTbody = document.querySelector('#clocks tbody');
+    clocksTbody.innerHTML = '';
+    document.getElementById('clocks').hidden = Object.keys(report.clocks).length === 0;
+    for (const [context, clock] of Object.entries(report.clocks)) {
+      clocksTbody.innerHTML += `<tr>
+        <td>${context}</td>
+        <td>${clock.offset}</td>
+        <td>${clock.drift}</td>
+        <td>${clock.uncertainty}</td>
+        <td>${clock.rtt}</td>
+        <td>${clock.samples}</td>
+      </tr>`;
+    }
+
+    // Report frame delivery integrity counters
+    const deliveryTbody = document.querySelector('#delivery tbody');
+    deliveryTbody.innerHTML = '';
+    // (delivery counters need the overlay to identify displayed frames)
+    document.getElementById('delivery').hidden = !report.delivery ||
+      report.config?.overlayMode === 'none';
+    if (report.delivery) {
+      const delivery = report.delivery;
+      const counters = [
+        ['Frames produced', delivery.produced],
+        ['Frames displayed', delivery.displayed],
+        ['Dropped frames', delivery.dropped],
+        ['Frames still in flight at the end of the run', delivery.inFlight],
+        ['Duplicated frames', delivery.duplicated],
+        ['Distinct frames displayed with the same timestamp', delivery.collisions],
+        ['Out-of-order frames', delivery.outOfOrder],
+        ['Unidentified displayed frames', delivery.unidentified],
+        ['Displayed frames whose overlay could not be decoded', delivery.undecodable],
+        ['Displayed frames whose overlay needed a correction', delivery.corrected],
+        ['Displayed frames from a previous run', delivery.stale],
+        ['Frames missing from displayed sequence numbers', delivery.sequenceGaps ?? '-'],
+        ['Longest freeze (ms)', delivery.longestFreeze?.duration ?? '-']
+      ];
+      for (const [name, value] of counters) {
+        deliveryTbody.innerHTML += `<tr><td>${name}</td><td>${value}</td></tr>`;
+      }
+    }
+
+    // Plot effective frame rates and median latencies over time
+    // (frame rates are estimated from the sample in sampling mode)
+    const interval = report.timeSeries.interval;
+    const samplingFraction = report.filtering.samplingFraction ?? 1;
+    const buckets = report.timeSeries.buckets;
+    const timeSeriesSteps = orderedCounters.filter(counter =>
+      buckets.find(bucket => bucket.medians[counter] !== undefined) &&
+      report.stats[counter]?.count > 0);
+    plotTimeSeries(document.getElementById('timeseries-rates'), interval, [
+      {
+        name: 'input (fps)',
+        values: buckets.map(bucket => (bucket.counts.input ?? 0) * 1000 / interval / samplingFraction)
+      },
+      {
+        name: 'display (fps)',
+        values: buckets.map(bucket => (bucket.counts.display ?? 0) * 1000 / interval / samplingFraction)
+      }
+    ]);
+    plotTimeSeries(document.getElementById('timeseries-latencies'), interval,
+      timeSeriesSteps.map(step => {
+        return {
+          name: `${step} (ms)`,
+          values: buckets.map(bucket => bucket.medians[step] ?? null)
+        };
+      }));
+
     document.getElementById('stats').hidden = false;
+
+    if (baselineReport) {
+      renderComparison(report);
+    }
+    return report;
+  }
+
+  // Plot a set of time series as lines on the given canvas, along with a
+  // legend. Each series is an object with a "name" and an array of "values",
+  // one per time bucket (null when there is no value for the bucket).
+  function plotTimeSeries(canvas, interval, series) {
+    const colors = ['#005a9c', '#c00', '#090', '#f90', '#63f', '#0aa', '#a50',
+      '#f0c', '#555', '#9c0'];
+    const ctx = canvas.getContext('2d');
+    const margin = { top: 10, right: 10, bottom: 30, left: 40 };
+    const width = canvas.width - margin.left - margin.right;
+    const height = canvas.height - margin.top - margin.bottom;
+    ctx.clearRect(0, 0, canvas.width, canvas.height);
+
+    const nbValues = Math.max(0, ...series.map(s => s.values.length));
+    const maxValue = Math.max(1, ...series.map(s =>
+      Math.max(...s.values.filter(v => v !== null))));
+    const x = idx => margin.left + (nbValues > 1 ? idx * width / (nbValues - 1) : 0);
+    const y = value => margin.top + height - value * height / maxValue;
+
+    // Axes, with max value on the y axis and run duration on the x axis
+    ctx.strokeStyle = '#999';
+    ctx.fillStyle = '#333';
+    ctx.font = '12px sans-serif';
+    ctx.beginPath();
+    ctx.moveTo(margin.left, margin.top);
+    ctx.lineTo(margin.left, margin.top + height);
+    ctx.lineTo(margin.left + width, margin.top + height);
+    ctx.stroke();
+    ctx.textAlign = 'right';
+    ctx.fillText(Math.round(maxValue), margin.left - 4, margin.top + 10);
+    ctx.fillText('0', margin.left - 4, margin.top + height);
+    ctx.fillText(`${Math.round(nbValues * interval / 1000)}s`,
+      margin.left + width, margin.top + height + 14);
+
+    // Lines and legend
+    ctx.textAlign = 'left';
+    series.forEach((s, idx) => {
+      ctx.strokeStyle = colors[idx % colors.length];
+      ctx.fillStyle = colors[idx % colors.length];
+      ctx.beginPath();
+      let drawing = false;
+      s.values.forEach((value, idx) => {
+        if (value === null) {
+          drawing = false;
+        }
+        else if (drawing) {
+          ctx.lineTo(x(idx), y(value));
+        }
+        else {
+          ctx.moveTo(x(idx), y(value));
+          drawing = true;
+        }
+      });
+      ctx.stroke();
+      ctx.fillText(s.name,
+        margin.left + idx * width / series.length, margin.top + height + 26);
+    });
   }
 
+  // Compare the current report with the baseline report and flag steps that
+  // regressed or improved beyond the requested threshold
+  function renderComparison(report) {
+    const threshold = parseFloat(document.getElementById('threshold').value);
+    const comparator = new StepTimesComparator({
+      threshold: isNaN(threshold) ? undefined : threshold
+    });
+    const comparison = comparator.compare(baselineReport, report);
+    console.log(comparison);
+    const tbody = document.querySelector('#comparison tbody');
+    tbody.innerHTML = '';
+
+    function formatDelta(metric, step) {
+      const { delta, percent } = step.deltas[metric];
+      const sign = delta > 0 ? '+' : '';
+      const className = step.flagged.includes(metric) ? step.status : '';
+      return `<td class="${className}">${sign}${delta}` +
+        (percent === null ? '' : ` (${sign}${percent}%)`) + '</td>';
+    }
+
+    for (const [name, step] of Object.entries(comparison.steps)) {
+      tbody.innerHTML += `<tr>
+        <td>${name}</td>
+        <td class="${step.status}">${step.status}</td>
+        ${StepTimesComparator.METRICS.map(metric => formatDelta(metric, step)).join('')}
+        <td>[${step.avgDeltaInterval.low}, ${step.avgDeltaInterval.high}]</td>
+      </tr>`;
+    }
+    for (const [names, status] of [[comparison.added, 'added'], [comparison.removed, 'removed']]) {
+      for (const name of names) {
+        tbody.innerHTML += `<tr>
+          <td>${name}</td>
+          <td>${status}</td>
+          ${StepTimesComparator.METRICS.map(_ => '<td>-</td>').join('')}
+          <td>-</td>
+        </tr>`;
+      }
+    }
+
+    document.getElementById('comparison').hidden = false;
+  }
+
+  // Trigger the download of the given content as a file
+  function download(content, type, filename) {
+    const url = URL.createObjectURL(new Blob([content], { type }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    link.click();
+    URL.revokeObjectURL(url);
+  }
+
+  function getExportFilename(extension) {
+    const date = new Date().toISOString().replace(/[:.]/g, '-');
+    return `media-tests-report-${date}.${extension}`;
+  }
+
+  document.getElementById('export-json').addEventListener('click', _ => {
+    download(timesDB.exportJSON(), 'application/json', getExportFilename('json'));
+  });
+
+  document.getElementById('export-csv').addEventListener('click', _ => {
+    download(timesDB.exportCSV(), 'text/csv', getExportFilename('csv'));
+  });
+
+  // Export step times as a trace, one process per stats collector. Display
+  // times are recorded on the main thread. An imported report does not say
+  // where steps ran, all step times then end up in the same process.
+  document.getElementById('export-trace').addEventListener('click', _ => {
+    const exporter = new StepTimesTraceExporter();
+    const report = timesDB.computeStats();
+    if (reportedStats.main) {
+      exporter.addEntries(reportedStats.main, 'main');
+      exporter.addEntries(report.all
+        .filter(entry => entry.display)
+        .map(entry => ({ id: entry.id, display: entry.display })), 'main');
+      for (const worker of statsWorkers) {
+        if (reportedStats[worker]) {
+          exporter.addEntries(reportedStats[worker].values(), reportedStats.collectors[worker]);
+        }
+      }
+    }
+    else {
+      exporter.addEntries(report.all, 'report');
+    }
+    download(exporter.exportJSON(), 'application/json', getExportFilename('trace.json'));
+  });
+
+  // Keep the current report as baseline for comparison purpose, or load a
+  // baseline from a previously exported report
+  document.getElementById('set-baseline').addEventListener('click', _ => {
+    baselineReport = timesDB.computeStats();
+    document.getElementById('comparison').hidden = true;
+  });
+
+  document.getElementById('import-baseline').addEventListener('change', async event => {
+    const file = event.target.files[0];
+    if (!file) {
+      return;
+    }
+    try {
+      baselineReport = StepTimesDB.importJSON(await file.text()).computeStats();
+      renderReport();
+    }
+    catch (err) {
+      console.error('Could not import baseline report', err);
+    }
+    event.target.value = '';
+  });
+
+  document.getElementById('threshold').addEventListener('change', _ => {
+    if (baselineReport) {
+      renderReport();
+    }
+  });
+
+  // Load a previously exported report and render its stats
+  document.getElementById('import').addEventListener('change', async event => {
+    const file = event.target.files[0];
+    if (!file) {
+      return;
+    }
+    try {
+      timesDB = StepTimesDB.importJSON(await file.text());
+      reportedStats = { collectors: {}, stepInfo: {} };
+      renderReport();
+    }
+    catch (err) {
+      console.error('Could not import report', err);
+    }
+    event.target.value = '';
+  });
+
   // Initialize workers:
   // 1. a worker that can produce a stream of VideoFrames from scratch
   // 2. a worker that can add an overlay to a stream of VideoFrames
   // 3. a worker that can apply transforms to a stream of VideoFrames
+  // Workers stream stats through a dedicated port while they run. Batches of
+  // entries get merged as they arrive (the last version of each entry is
+  // also kept per worker for trace export), once times have been aligned
+  // with the clock of the main thread. Alignment uses the estimate available
+  // when an entry first arrives, also for later versions of the entry, and
+  // merged entries are not realigned when the estimate improves (the report
+  // mentions that limitation). Stats get reported once all workers that took
+  // part in the run have sent their last batch, or once the report timeout
+  // set on "stop" expires.
+  async function onWorkerStats(worker, data) {
+    const clockSync = clockSyncs[worker];
+    if (data.type === 'end') {
+      clockSync.stop();
+    }
+    else if (data.type !== 'batch') {
+      return;
+    }
+
+    // Messages wait for the first clock estimate, in order of arrival, and
+    // are dropped if a new run started in the meantime
+    await clockSync.ready;
+    if (clockSyncs[worker] !== clockSync) {
+      return;
+    }
+    reportedStats.collectors[worker] = data.collector;
+    timesDB.setClockSync(data.collector, clockSync.estimate);
+    if (data.type === 'batch') {
+      const entries = data.stats.map(entry => clockSync.alignEntry(entry));
+      timesDB.addEntries(entries);
+      if (!reportedStats[worker]) {
+        reportedStats[worker] = new Map();
+      }
+      for (const entry of entries) {
+        reportedStats[worker].set(entry.id, entry);
+      }
+    }
+    else {
+      reportedStats.stepInfo[worker] = data.steps;
+      if (reportTimer && statsWorkers.every(name => reportedStats.stepInfo[name])) {
+        reportStats();
+      }
+    }
+  }
+
+  // Create the port through which the worker will stream its stats, and
+  // start aligning clocks
+  function createStatsPort(worker) {
+    const channel = new MessageChannel();
+    const clockSync = new StepTimesClockSync(channel.port1, {
+      interval: clockSyncInterval
+    });
+    channel.port1.addEventListener('message', e => onWorkerStats(worker, e.data));
+    clockSync.start();
+    statsWorkers.push(worker);
+    statsPorts.push(channel.port1);
+    clockSyncs[worker] = clockSync;
+    return channel.port2;
+  }
+
   const inputWorker = new Worker('worker-getinputstream.js');
   const overlayWorker = new Worker('worker-overlay.js');
+
+  // The backend that draws the overlay is only known once the overlay worker
+  // has started when it gets picked automatically
   overlayWorker.addEventListener('message', e => {
-    if (e.data.type === 'stats') {
-      reportedStats.overlayWorker = e.data.stats;
-      if (reportedStats.transformWorker) {
-        reportStats();
-      }
+    if (e.data.type === 'overlaybackend' && timesDB.config) {
+      timesDB.config.overlayBackend = e.data.backend;
     }
   });
-
   const transformWorker = new Worker('worker-transform.js');
-  transformWorker.addEventListener('message', e => {
-    if (e.data.type === 'stats') {
-      reportedStats.transformWorker = e.data.stats;
-      if (reportedStats.overlayWorker) {
-        reportStats();
+
+  // Read overlay settings from the form. The overlay decoder (and the code it
+  // uses) is only created when frames get a timestamp overlay. Throws if the
+  // overlay layout is invalid.
+  function readOverlaySettings() {
+    // (values such as "timestamp-canvas" also select the backend that draws
+    // the overlay, picked automatically by default)
+    const overlayModeEl = document.querySelector('input[name="overlay"]:checked');
+    const [overlayMode, overlayBackend] = (overlayModeEl?.value || 'none').split('-');
+
+    // Overlay layout, shared with the overlay worker (percents in the form,
+    // fractions in the layout)
+    const overlayLayout = {
+      x: parseFloat(document.getElementById('overlayx').value) / 100,
+      y: parseFloat(document.getElementById('overlayy').value) / 100,
+      width: parseFloat(document.getElementById('overlaywidth').value) / 100,
+      height: parseFloat(document.getElementById('overlayheight').value) / 100,
+      digits: parseInt(document.getElementById('overlaydigits').value, 10),
+      sequenceDigits: parseInt(document.getElementById('overlaysequencedigits').value, 10),
+      runIdDigits: parseInt(document.getElementById('overlayruniddigits').value, 10)
+    };
+    for (const [property, value] of Object.entries(overlayLayout)) {
+      if (Number.isNaN(value)) {
+        delete overlayLayout[property];
       }
     }
-  });
+    const overlayDecoder = (overlayMode === 'timestamp') ?
+      new FrameOverlayDecoder({ colors, overlayLayout }) :
+      null;
+    return { overlayMode, overlayBackend, overlayLayout, overlayDecoder };
+  }
 
   // React to user action on "start" and "stop" buttons
+  // (invalid overlay settings are reported before the run starts)
   startButton.addEventListener('click', _ => {
+    const overlayError = document.getElementById('overlayerror');
+    let overlay;
+    try {
+      overlay = readOverlaySettings();
+    }
+    catch (err) {
+      overlayError.textContent = `Invalid overlay settings: ${err.message}`;
+      overlayError.hidden = false;
+      return;
+    }
+    overlayError.hidden = true;
     running = true;
     startButton.disabled = true;
     stopButton.disabled = false;
     paramsSection.hidden = true;
     video.hidden = false;
     document.getElementById('stats').hidden = true;
-    startMedia();
+    document.getElementById('comparison').hidden = true;
+    startMedia(overlay);
   });
 
   stopButton.addEventListener('click', _ => {
@@ -183,6 +644,10 @@ document.addEventListener('DOMContentLoaded', async function (event) {
       inputTrack.stop();
       inputTrack = null;
     }
+    clearInterval(liveStatsTimer);
+    liveStatsTimer = null;
+    timesDB.addEntries(mainCollector.takeBatch());
+    reportTimer = setTimeout(reportStats, reportTimeout);
     inputWorker.postMessage({ type: 'stop' });
     overlayWorker.postMessage({ type: 'stop' });
     transformWorker.postMessage({ type: 'stop' });
@@ -192,11 +657,55 @@ document.addEventListener('DOMContentLoaded', async function (event) {
     }
   });
 
-  async function startMedia() {
+  async function startMedia(overlay) {
     // Reset stats
-    timesDB.reset();
-    InstrumentedTransformStream.resetStats();
-    reportedStats = {};
+    // (db may have been replaced by an imported one, let's start from scratch)
+    const maxEntries = parseInt(document.getElementById('maxentries').value, 10);
+    const excludeSteps = document.getElementById('excludesteps').value
+      .split(',')
+      .map(step => step.trim())
+      .filter(step => !!step);
+
+    // Sampling mode, with a random seed so that different runs sample
+    // different frames. The seed is shared with workers.
+    const samplingMode = document.querySelector('input[name="sampling"]:checked')?.value;
+    const samplingFraction = parseFloat(document.getElementById('samplingfraction').value);
+    const samplingSeed = Math.floor(Math.random() * 2 ** 32);
+    let sampling = null;
+    if (samplingMode === 'fraction' && samplingFraction > 0 && samplingFraction < 1) {
+      sampling = { fraction: samplingFraction, seed: samplingSeed };
+    }
+
+    timesDB = new StepTimesDB({
+      initialStep: 'input',
+      finalStep: 'final',
+      displayStep: 'display',
+      excludeSteps,
+      stepGroups,
+      endInference,
+      defaultEndInference: 'none',
+      warmupFrames: parseInt(document.getElementById('warmupframes').value, 10) || 0,
+      warmupDuration: (parseFloat(document.getElementById('warmupduration').value) || 0) * 1000,
+      outliers: document.getElementById('outliers').checked ? 'iqr' : 'none',
+      maxEntries: maxEntries > 0 ? maxEntries : undefined,
+      sampling
+    });
+    mainCollector.resetStats();
+    mainCollector.sampling = sampling;
+    reportedStats = { collectors: {}, stepInfo: {} };
+    clearTimeout(reportTimer);
+    reportTimer = null;
+
+    // Ignore stats that workers may still be sending for a previous run
+    for (const clockSync of Object.values(clockSyncs)) {
+      clockSync.stop();
+    }
+    for (const port of statsPorts) {
+      port.close();
+    }
+    statsWorkers = [];
+    statsPorts = [];
+    clockSyncs = {};
     let missedCounter = 0;
 
     // What stream should we use as input?
@@ -222,9 +731,15 @@ document.addEventListener('DOMContentLoaded', async function (event) {
     // Get the requested frame rate
     const frameRate = parseInt(document.getElementById('framerate').value, 10);
 
-    // Overlay mode
-    const overlayModeEl = document.querySelector('input[name="overlay"]:checked');
-    const overlayMode = overlayModeEl?.value || 'none';
+    // Overlay mode, layout and decoder
+    const { overlayMode, overlayBackend, overlayLayout, overlayDecoder } = overlay;
+    const overlayCode = overlayDecoder?.code;
+
+    // Identifier of the run, encoded in the overlay to spot frames left over
+    // from a previous run
+    const runId = overlayCode ?
+      Math.floor(Math.random() * overlayCode.runIdPeriod) :
+      null;
 
     // Memory mode
     const memoryModeEl = document.querySelector('input[name="memory"]:checked');
@@ -260,40 +775,76 @@ document.addEventListener('DOMContentLoaded', async function (event) {
       };
     }
 
+    // High water marks of instrumented streams
+    const writableHighWaterMark = parseInt(document.getElementById('writablehwm').value, 10);
+    const readableHighWaterMark = parseInt(document.getElementById('readablehwm').value, 10);
+    const streamStrategies = {
+      writable: writableHighWaterMark >= 0 ? { highWaterMark: writableHighWaterMark } : {},
+      readable: readableHighWaterMark >= 0 ? { highWaterMark: readableHighWaterMark } : {}
+    };
+
     const config = {
       streamMode,
       transformModes,
       overlayMode,
+      overlayBackend: overlayBackend ?? 'auto',
+      overlayLayout,
+      runId,
       memoryMode,
       colors,
       width: resolution.width,
       height: resolution.height,
       frameRate,
       encodeConfig,
-      closeHack
+      closeHack,
+      streamStrategies,
+      statsInterval,
+      measure: !!document.getElementById('measure').checked,
+      sampling
     };
+    mainCollector.measure = config.measure;
+    timesDB.config = config;
+
+    // Merge entries of the main thread at the same pace as those of workers,
+    // and render stats while the run is going if so requested. Rendering runs
+    // on the thread that records display times and answers clock sync pings,
+    // ticks get skipped so that it takes about a tenth of the time at most.
+    const liveStats = !!document.getElementById('livestats').checked;
+    let nextLiveRender = 0;
+    liveStatsTimer = setInterval(_ => {
+      timesDB.addEntries(mainCollector.takeBatch());
+      if (liveStats && performance.now() >= nextLiveRender) {
+        const renderStart = performance.now();
+        renderReport();
+        const renderEnd = performance.now();
+        nextLiveRender = renderEnd + 9 * (renderEnd - renderStart);
+      }
+    }, statsInterval);
 
     // The "input" step is the first time at which we see the VideoFrame. The
     // instrumented TransformStream allows us to capture that start time
     // (the transform in itself should basically take 0ms)
     const inputTransform = new InstrumentedTransformStream({
       name: 'input',
+      collector: mainCollector,
       transform(frame, controller) {
         if (closeHack) {
           framesToClose[frame.timestamp] = frame;
         }
         controller.enqueue(frame);
       }
-    });
+    }, streamStrategies.writable, streamStrategies.readable);
 
     if (streamMode === 'generated') {
       // Generate a stream of VideoFrames in a dedicated worker and pass the
       // result as input to the "input" TransformStream
+      const statsPort = createStatsPort('inputWorker');
       inputWorker.postMessage({
         type: 'start',
         config: Object.assign({ icon }, config),
-        stream: inputTransform.writable
-      }, [inputTransform.writable]);
+        stream: inputTransform.writable,
+        statsPort
+      }, [inputTransform.writable, statsPort]);
     }
     else {
       // Generate a MediaStreamTrack from the camera and pass the result in a
@@ -324,14 +875,16 @@ document.addEventListener('DOMContentLoaded', async function (event) {
           controller.enqueue(frame);
         }
     });
+    const transformStatsPort = createStatsPort('transformWorker');
     transformWorker.postMessage({
       type: 'start',
       config,
       streams: {
         input: stream,
         output: identityTransform.writable
-      }
-    }, [stream, identityTransform.writable]);
+      },
+      statsPort: transformStatsPort
+    }, [stream, identityTransform.writable, transformStatsPort]);
     stream = identityTransform.readable;
 
     if (overlayMode === 'timestamp') {
@@ -349,21 +902,29 @@ document.addEventListener('DOMContentLoaded', async function (event) {
           controller.enqueue(frame);
         }
       });
+      const statsPort = createStatsPort('overlayWorker');
       overlayWorker.postMessage({
         type: 'start',
         config,
         streams: {
           input: stream,
           output: overlayTransform.writable
-        }
-      }, [stream, overlayTransform.writable]);
+        },
+        statsPort
+      }, [stream, overlayTransform.writable, statsPort]);
       stream = overlayTransform.readable;
     }
 
+    // Timestamp of the last frame sent to display, used as reference to
+    // unwrap timestamps decoded from the overlay
+    let lastFinalTimestamp = null;
+
     // TEMP: VideoFrame close hack
     const closeTransform = new InstrumentedTransformStream({
       name: 'final',
+      collector: mainCollector,
       transform(frame, controller) {
+        lastFinalTimestamp = frame.timestamp;
         if (closeHack) {
           if (streamMode === 'generated') {
             inputWorker.postMessage({
@@ -391,23 +952,47 @@ document.addEventListener('DOMContentLoaded', async function (event) {
         }
         controller.enqueue(frame);
       }
-    });
+    }, streamStrategies.writable, streamStrategies.readable);
     stream = stream.pipeThrough(closeTransform);
 
     // The transform worker will create another stream of VideoFrames,
     // which we'll convert to a MediaStreamTrack for rendering onto the
-    // video element.
+    // video element. The "sink" step measures the time spent writing frames
+    // to the track.
     const outputFramesToTrack = new MediaStreamTrackGenerator({ kind: 'video' });
-    stream.pipeTo(outputFramesToTrack.writable);
+    const trackWriter = outputFramesToTrack.writable.getWriter();
+    const trackSink = new InstrumentedWritableStream({
+      name: 'sink',
+      collector: mainCollector,
+      async write(frame) {
+        await trackWriter.ready;
+        await trackWriter.write(frame);
+      },
+      close() {
+        return trackWriter.close();
+      },
+      abort(reason) {
+        return trackWriter.abort(reason);
+      }
+    });
+    stream.pipeTo(trackSink);
 
     video.srcObject = new MediaStream([outputFramesToTrack]);
 
-    // Read back the contents of the video element onto a canvas
-    const outputCanvas = new OffscreenCanvas(32, 32);
-    const outputCtx = outputCanvas.getContext('2d',
+    // Read back the contents of the video element onto a canvas, scaled down
+    // so that cells of the overlay are about 16 * 16 pixels
+    const outputCanvas = overlayCode ?
+      new OffscreenCanvas(
+        Math.ceil(16 * overlayCode.columns / overlayCode.rect.width),
+        Math.ceil(16 * overlayCode.rows / overlayCode.rect.height)) :
+      null;
+    const outputCtx = outputCanvas?.getContext('2d',
       { alpha: false, willReadFrequently: true });
 
     let prevPresentedFrames = 0;
+    let undecodableCounter = 0;
+    let staleCounter = 0;
+    let lastSequence = null;
     function processFrame(ts, { presentedFrames, expectedDisplayTime, presentationTime }) {
       rvfcHandle = null;
       if (!running) return;
@@ -431,47 +1016,64 @@ document.addEventListener('DOMContentLoaded', async function (event) {
       }
       prevPresentedFrames = presentedFrames;
       if (video.currentTime > 0 && overlayMode === 'timestamp') {
-        // We're only interested by the bottom right part of the video where the
-        // encoded timestamp is (positioned at 3/4 of width and height). Goal is
-        // to average colors in each quadrant.
-        const w = video.videoWidth;
-        const h = video.videoHeight;
+        // The decoder averages colors near the center of each cell of the
+        // overlay (avoiding pixels close to the borders where scaling and
+        // encoding/decoding steps could create color artefacts)
         outputCtx.drawImage(video,
-          // Copy a block of 32 * 32 pixels from the bottom right part of the
-          // video, centered on the intersection of the four quadrants
-          w * 7 / 8 - 16, h * 7 / 8 - 16, 32, 32,
-          // Copy the block to the top left part of the canvas,
-          0, 0, 32, 32);
-
-        // Average colors near the center of each quadrant (avoiding pixels
-        // close to the center where encoding/decoding step could perhaps
-        // create color artefacts)
-        const coordinates = [
-          { x: 0, y: 0 },
-          { x: 20, y: 0 },
-          { x: 0, y: 20 },
-          { x: 20, y: 20 }
-        ];
-        const pixels = coordinates
-          .map(point => outputCtx.getImageData(point.x, point.y, 8, 8).data)
-          .map(pixels => {
-            return pixels.reduce((total, curr, idx) => {
-              const tidx = idx % 4;
-              total[tidx] += curr;
-              return total;
-            }, [0, 0, 0, 0]);
-          })
-          .map(total => total.map(c => Math.round(c / (8*8))));
-
-        const frameIndex = colorsToTimestamp(pixels) * 1000;
-        const dupl = timesDB.find(frameIndex);
-        if (dupl) {
-          console.log(`frame ${frameIndex} seen already`);
-        }
-        timesDB.addEntry({
-          id: frameIndex,
-          display: { start: performance.timeOrigin + expectedDisplayTime }
+          0, 0, outputCanvas.width, outputCanvas.height);
+        const imageData = outputCtx.getImageData(
+          0, 0, outputCanvas.width, outputCanvas.height);
+
+        // Frames whose overlay could not be decoded are recorded as such,
+        // rather than under a bogus identifier
+        const decoded = overlayDecoder.decode(imageData.data, {
+          format: 'RGBA',
+          width: imageData.width,
+          height: imageData.height
         });
+        if (decoded && decoded.runId !== null && decoded.runId !== runId) {
+          // Frames of a previous run are recorded as such, their timestamp
+          // could match that of a frame of the current run
+          console.log(`frame of previous run ${decoded.runId} displayed`);
+          timesDB.addEntry({
+            id: `stale-${staleCounter++}`,
+            display: {
+              start: performance.timeOrigin + expectedDisplayTime,
+              stale: true
+            }
+          });
+        }
+        else if (decoded) {
+          const frameIndex = overlayCode.unwrap(decoded.timestamp, lastFinalTimestamp);
+          const sequence = overlayCode.unwrapSequence(decoded.sequence, lastSequence);
+          const dupl = timesDB.find(frameIndex);
+          if (typeof dupl?.display?.sequence === 'number' &&
+              dupl.display.sequence !== sequence) {
+            console.log(`frame ${frameIndex} shares its timestamp with frame #${dupl.display.sequence}`);
+          }
+          else if (dupl) {
+            console.log(`frame ${frameIndex} seen already`);
+          }
+          const display = { start: performance.timeOrigin + expectedDisplayTime };
+          if (sequence !== null) {
+            display.sequence = sequence;
+            lastSequence = sequence;
+          }
+          if (decoded.corrected) {
+            display.corrected = true;
+          }
+          timesDB.addEntry({ id: frameIndex, display });
+        }
+        else {
+          console.log('frame overlay could not be decoded');
+          timesDB.addEntry({
+            id: `undecodable-${undecodableCounter++}`,
+            display: {
+              start: performance.timeOrigin + expectedDisplayTime,
+              undecodable: true
+            }
+          });
+        }
       }
 
       rvfcHandle = video.requestVideoFrameCallback(processFrame);
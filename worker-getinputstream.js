@@ -10,15 +10,22 @@
  * Frames are produced at the requested frame rate if possible. Backpressure
  * signals received from downstream will slow generation and may mean that some
  * frames cannot be generated in time or at all.
+ *
+ * Frames are produced by an instrumented source, which records the time spent
+ * to generate each frame and the time spent waiting on backpressure.
  */
 
+importScripts('StepTimesSampler.js');
+importScripts('InstrumentedTransformStream.js');
+importScripts('InstrumentedReadableStream.js');
+
 function getRandomInt(min, max) {
   min = Math.ceil(min);
   max = Math.floor(max);
   return Math.floor(Math.random() * (max - min) + min);
 }
 
-let writer;
+let sourceController;
 let intervalId;
 let started = false;
 
@@ -31,10 +38,14 @@ let started = false;
 // For additional context, see https://github.com/whatwg/streams/issues/1187
 const framesToClose = {};
 
+// Step times of frame generation
+const collector = new StepTimesCollector('input');
+
 self.addEventListener('message', async function (e) {
   if (e.data.type === 'start') {
     if (started) return;
     started = true;
+    collector.resetStats();
 
     // Configuration
     const config = e.data.config;
@@ -43,7 +54,17 @@ self.addEventListener('message', async function (e) {
     const frameRate = config.frameRate || 25;
     const frameDuration = Math.round(1000 / frameRate);
     const writableStream = e.data.stream;
-    writer = writableStream.getWriter();
+    collector.measure = config.measure;
+    collector.sampling = config.sampling;
+    collector.startStreaming(e.data.statsPort, config.statsInterval);
+    const frameSource = new InstrumentedReadableStream({
+      name: 'generate',
+      collector,
+      start(controller) {
+        sourceController = controller;
+      }
+    }, { highWaterMark: 0 });
+    frameSource.pipeTo(writableStream);
 
     // Create the canvas onto which we'll generate our frame drawing
     const inputCanvas = new OffscreenCanvas(width, height);
@@ -264,19 +285,20 @@ self.addEventListener('message', async function (e) {
       const writeStart = performance.now();
 
       // Cater for backpressure
-      await writer.ready;
+      await sourceController.ready;
       if (!started) return;
 
-      // Create and write next VideoFrame
+      // Create and enqueue next VideoFrame
       // (unless function was called within 0ms of the previous call)
       const timestamp = Math.round(performance.now() - startTimestamp);
       if (timestamp > previousTimestamp) {
+        sourceController.startChunk();
         const frame = timestampToVideoFrame(timestamp);
         // TEMP: VideoFrame close hack
         if (config.closeHack) {
           framesToClose[frame.timestamp] = frame;
         }
-        writer.write(frame);
+        sourceController.enqueue(frame);
       }
 
       // Next VideoFrame is due in xx ms
@@ -301,12 +323,15 @@ self.addEventListener('message', async function (e) {
     writeVideoFrame();
   }
   else if (e.data.type === 'stop') {
-    if (!started) return;
-    started = false;
-    if (writer) {
-      writer.close();
-      writer = null;
+    if (started) {
+      started = false;
+      if (sourceController) {
+        sourceController.close();
+        sourceController = null;
+      }
     }
+    collector.stopStreaming();
+    collector.resetStats();
   }
   // TEMP: VideoFrame close hack
   else if (e.data.type === 'closeframe') {
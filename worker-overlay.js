@@ -4,12 +4,19 @@
  * Worker that takes a stream of VideoFrame as input and adds an overlay in
  * the bottom right corner that encodes the timestamp of each VideoFrame.
  * 
- * The worker uses VideoFrameTimestampDecorator under the hoods.
+ * The worker uses VideoFrameTimestampDecorator under the hoods, or
+ * VideoFrameTimestampCanvasDecorator when WebGPU is not available or when the
+ * Canvas 2D backend is explicitly requested ("overlayBackend" config property,
+ * "auto", "webgpu" or "canvas"). The worker posts the backend it uses to the
+ * main thread in an "overlaybackend" message.
  */
 
 
+importScripts('StepTimesSampler.js');
 importScripts('InstrumentedTransformStream.js');
+importScripts('FrameOverlayCode.js');
 importScripts('VideoFrameTimestampDecorator.js');
+importScripts('VideoFrameTimestampCanvasDecorator.js');
 
 // TEMP: VideoFrames sent through a TransformStream are serialized (and thus
 // cloned) and not transferred for now. This means that they need to be closed
@@ -20,17 +27,33 @@ importScripts('VideoFrameTimestampDecorator.js');
 // For additional context, see https://github.com/whatwg/streams/issues/1187
 const framesToClose = {};
 
+// Step times of the overlay pipeline
+const collector = new StepTimesCollector('overlay');
+
 
 self.addEventListener('message', async function(e) {
   if (e.data.type === 'start') {
-    InstrumentedTransformStream.resetStats();
+    collector.resetStats();
     const inputStream = e.data.streams.input;
     const outputStream = e.data.streams.output;
     const config = e.data.config;
+    collector.measure = config.measure;
+    collector.sampling = config.sampling;
+    collector.startStreaming(e.data.statsPort, config.statsInterval);
 
-    const addOverlayTransformer = new VideoFrameTimestampDecorator(config);
+    let backend = config.overlayBackend ?? 'auto';
+    if (backend === 'auto') {
+      const adapter = await navigator.gpu?.requestAdapter();
+      backend = adapter ? 'webgpu' : 'canvas';
+    }
+    self.postMessage({ type: 'overlaybackend', backend });
+    const addOverlayTransformer = (backend === 'canvas') ?
+      new VideoFrameTimestampCanvasDecorator(config) :
+      new VideoFrameTimestampDecorator(config);
+    const strategies = config.streamStrategies ?? {};
     const addTimestampToFrame = new InstrumentedTransformStream(
-      Object.assign({ name: 'overlay' }, addOverlayTransformer));
+      Object.assign({ name: 'overlay', collector }, addOverlayTransformer),
+      strategies.writable, strategies.readable);
 
     inputStream
       .pipeThrough(addTimestampToFrame)
@@ -46,9 +69,8 @@ self.addEventListener('message', async function(e) {
       .pipeTo(outputStream);
   }
   else if (e.data.type === 'stop') {
-    const stats = InstrumentedTransformStream.collectStats();
-    InstrumentedTransformStream.resetStats();
-    self.postMessage({ type: 'stats', stats });
+    collector.stopStreaming();
+    collector.resetStats();
   }
   // TEMP: VideoFrame close hack
   else if (e.data.type === 'closeframe') {
@@ -7,11 +7,12 @@
  * Currently available transformations are very basic: delays or H.264
  * encode/decode. H.264 encode/decode was typically adapted from:
  * https://github.com/w3c/webcodecs/pull/583
- * (although note the code does not queue frames onto the
- * VideoEncoder/VideoDecoder but rather relies on streams to handle queueing
- * and backpressure)
+ * (although note the code only lets a couple of frames queue up in the
+ * VideoEncoder/VideoDecoder, and relies on streams to handle queueing and
+ * backpressure beyond that)
  */
 
+importScripts('StepTimesSampler.js');
 importScripts('InstrumentedTransformStream.js');
 importScripts('GreenBackgroundReplacer.js');
 importScripts('BlackAndWhiteConverter.js');
@@ -31,24 +32,55 @@ let decoder;
 // For additional context, see https://github.com/whatwg/streams/issues/1187
 const framesToClose = {};
 
+// Step times of the transform pipeline
+const collector = new StepTimesCollector('transform');
+
 function rnd(min, max) {
   min = Math.ceil(min);
   max = Math.floor(max);
   return Math.floor(Math.random() * (max - min) + min);
 }
 
+// Number of frames or chunks that the VideoEncoder and VideoDecoder may queue
+// before transform() waits for them to dequeue some
+const MAX_CODEC_QUEUE_SIZE = 2;
+
+/**
+ * Wait until the queue of the given VideoEncoder or VideoDecoder has no more
+ * than MAX_CODEC_QUEUE_SIZE items, or until the codec gets closed.
+ */
+async function waitForCodecQueue(codec) {
+  const queueSize = () => codec.encodeQueueSize ?? codec.decodeQueueSize;
+  while ((codec.state !== 'closed') && (queueSize() > MAX_CODEC_QUEUE_SIZE)) {
+    await new Promise(resolve => {
+      // (no dequeue event fires when the codec gets closed, check regularly)
+      const timeout = setTimeout(done, 100);
+      function done() {
+        clearTimeout(timeout);
+        codec.removeEventListener('dequeue', done);
+        resolve();
+      }
+      codec.addEventListener('dequeue', done);
+    });
+  }
+}
+
 self.addEventListener('message', async function(e) {
   if (e.data.type === 'start') {
-    InstrumentedTransformStream.resetStats();
+    collector.resetStats();
     const inputStream = e.data.streams.input;
     const outputStream = e.data.streams.output;
     const config = e.data.config;
+    collector.measure = config.measure;
+    collector.sampling = config.sampling;
+    collector.startStreaming(e.data.statsPort, config.statsInterval);
     const transformModes = config.transformModes || {};
     const memoryMode = config.memoryMode || 'no';
     const overlayMode = config.overlayMode;
     const encodeConfig = config.encodeConfig;
     const frameRate = config.frameRate || 25;
     const frameDuration = Math.round(1000 / frameRate);
+    const strategies = config.streamStrategies ?? {};
 
     let intermediaryStream = inputStream;
 
@@ -57,7 +89,8 @@ self.addEventListener('message', async function(e) {
         new ToCPUMemoryCopier(config) :
         new ToRGBXVideoFrameConverter(config);
       const copyFrame = new InstrumentedTransformStream(
-        Object.assign({ name: `to${memory.toUpperCase()}-${nextstep}` }, copier));
+        Object.assign({ name: `to${memory.toUpperCase()}-${nextstep}`, collector }, copier),
+        strategies.writable, strategies.readable);
       intermediaryStream = intermediaryStream.pipeThrough(copyFrame);
     }
 
@@ -67,7 +100,8 @@ self.addEventListener('message', async function(e) {
 
     const toRGBXConverter = new ToRGBXVideoFrameConverter(config);
     const convertToRGBX = new InstrumentedTransformStream(
-      Object.assign({ name: 'toRGBX' }, toRGBXConverter));
+      Object.assign({ name: 'toRGBX', collector }, toRGBXConverter),
+      strategies.writable, strategies.readable);
     intermediaryStream = intermediaryStream.pipeThrough(convertToRGBX);
 
     if ((memoryMode === 'cpu') && (transformModes.green || transformModes.grey)) {
@@ -77,14 +111,16 @@ self.addEventListener('message', async function(e) {
     if (transformModes.green) {
       const backgroundTransformer = new GreenBackgroundReplacer(config);
       const replaceBackground = new InstrumentedTransformStream(
-        Object.assign({ name: 'background' }, backgroundTransformer));
+        Object.assign({ name: 'background', collector }, backgroundTransformer),
+        strategies.writable, strategies.readable);
       intermediaryStream = intermediaryStream.pipeThrough(replaceBackground);
     }
 
     if (transformModes.grey) {
       const blackAndWhiteConverter = new BlackAndWhiteConverter(config);
       const convertToBlackAndWhite = new InstrumentedTransformStream(
-        Object.assign({ name: 'grey' }, blackAndWhiteConverter));
+        Object.assign({ name: 'grey', collector }, blackAndWhiteConverter),
+        strategies.writable, strategies.readable);
       intermediaryStream = intermediaryStream.pipeThrough(convertToBlackAndWhite);
     }
 
@@ -92,6 +128,7 @@ self.addEventListener('message', async function(e) {
       let previousOutOfOrderTimestamp = 0;
       const generateOutOfOrderFrames = new InstrumentedTransformStream({
         name: 'outoforder',
+        collector,
         transform(frame, controller) {
           const elapsed = frame.timestamp - previousOutOfOrderTimestamp;
           let delay = 0;
@@ -111,7 +148,7 @@ self.addEventListener('message', async function(e) {
             controller.enqueue(frame);
           }
         }
-      });
+      }, strategies.writable, strategies.readable);
       intermediaryStream = intermediaryStream.pipeThrough(generateOutOfOrderFrames);
     }
 
@@ -119,6 +156,7 @@ self.addEventListener('message', async function(e) {
       let previousLongerTimestamp = 0;
       const generateLongerFrames = new InstrumentedTransformStream({
         name: 'longer',
+        collector,
         transform(frame, controller) {
           const elapsed = frame.timestamp - previousLongerTimestamp;
           let delay = 0;
@@ -140,15 +178,28 @@ self.addEventListener('message', async function(e) {
             controller.enqueue(frame);
           }
         }
-      });
+      }, strategies.writable, strategies.readable);
       intermediaryStream = intermediaryStream.pipeThrough(generateLongerFrames);
     }
 
     if (transformModes.encode) {
+      // Encoding and decoding run asynchronously, with more than one frame in
+      // flight. Frames get completed when the encoder or decoder outputs them.
+      // The encoder emits a config chunk before the first encoded chunk, and
+      // whenever the decoder config changes. Config chunks have a timestamp
+      // of 0, let's give them a distinct identifier so that they do not get
+      // mixed up with an actual frame.
+      const getEncodedChunkId = chunk => (chunk.type === 'config') ?
+        `config-${chunk.seqNo}` :
+        chunk.timestamp;
+
       const EncodeVideoStream = new InstrumentedTransformStream({
         name: 'encode',
+        collector,
+        chunkId: getEncodedChunkId,
+        emits: 'many',
+        deferCompletion: true,
         start(controller) {
-          this.encodedCallback = null;
           this.frameCounter = 0;
           this.seqNo = 0;
           this.keyframeIndex = 0;
@@ -167,7 +218,7 @@ self.addEventListener('message', async function(e) {
                   pt: 0,
                   config: decoderConfig
                 };
-                controller.enqueue(configChunk);
+                controller.enqueue(configChunk, chunk.timestamp);
               }
               chunk.temporalLayerId = 0;
               this.seqNo++;
@@ -180,14 +231,13 @@ self.addEventListener('message', async function(e) {
               chunk.seqNo = this.seqNo;
               chunk.keyframeIndex = this.keyframeIndex;
               chunk.deltaframeIndex = this.deltaframeIndex;
-              if (this.encodedCallback) {
-                this.encodedCallback();
-                this.encodedCallback = null;
-              }
+              controller.complete(chunk.timestamp);
               controller.enqueue(chunk);
             },
             error: e => {
               console.error(e);
+              // The encoder is closed, frames in flight will never be encoded
+              controller.completeAll();
             }
           });
           VideoEncoder.isConfigSupported(encodeConfig)
@@ -207,39 +257,46 @@ self.addEventListener('message', async function(e) {
         transform(frame, controller) {
           if (this.encoder.state === 'closed') {
             frame.close();
+            controller.complete();
             return;
           }
 
-          return new Promise(resolve => {
-            this.encodedCallback = resolve;
-            const insert_keyframe = (this.frameCounter % config.keyInterval) == 0;
-            this.frameCounter++;
-            this.encoder.encode(frame, { keyFrame: insert_keyframe });
-            frame.close();
-          });
+          const insert_keyframe = (this.frameCounter % config.keyInterval) == 0;
+          this.frameCounter++;
+          this.encoder.encode(frame, { keyFrame: insert_keyframe });
+          frame.close();
+          return waitForCodecQueue(this.encoder);
+        },
+
+        flush(controller) {
+          // Wait for frames still in flight
+          if (this.encoder.state === 'configured') {
+            return this.encoder.flush();
+          }
         }
-      });
+      }, strategies.writable, strategies.readable);
 
 
       const DecodeVideoStream = new InstrumentedTransformStream({
         name: 'decode',
+        collector,
+        chunkId: getEncodedChunkId,
+        deferCompletion: true,
         start(controller) {
-          this.decodedCallback = null;
           this.decoder = decoder = new VideoDecoder({
             output: frame => {
-              if (this.decodedCallback) {
-                this.decodedCallback();
-                this.decodedCallback = null;
-              }
               controller.enqueue(frame);
             },
             error: e => {
-              console.error(e)
+              console.error(e);
+              // The decoder is closed, chunks in flight will never be decoded
+              controller.completeAll();
             }
           });
         },
         transform(chunk, controller) {
           if (this.decoder.state === 'closed') {
+            controller.complete();
             return;
           }
           if (chunk.type === 'config') {
@@ -252,16 +309,21 @@ self.addEventListener('message', async function(e) {
                 else {
                   console.error('Decoder config not supported', decoderSupport.config);
                 }
+                controller.complete();
               });
           }
           else {
-            return new Promise(resolve => {
-              this.decodedCallback = resolve;
-              this.decoder.decode(chunk);
-            });
+            this.decoder.decode(chunk);
+            return waitForCodecQueue(this.decoder);
+          }
+        },
+
+        flush(controller) {
+          if (this.decoder.state === 'configured') {
+            return this.decoder.flush();
           }
         }
-      });
+      }, strategies.writable, strategies.readable);
 
       if (memoryMode !== 'no') {
         copyToMemory(memoryMode, 'encode');
@@ -288,9 +350,8 @@ self.addEventListener('message', async function(e) {
       .pipeTo(outputStream);
   }
   else if (e.data.type === 'stop') {
-    const stats = InstrumentedTransformStream.collectStats();
-    InstrumentedTransformStream.resetStats();
-    self.postMessage({ type: 'stats', stats });
+    collector.stopStreaming();
+    collector.resetStats();
     if (encoder) {
       encoder.close();
       encoder = null;